@@ -1,156 +1,2581 @@
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
+const { builtinModules } = require('module');
+const { ParsingPool } = require('./parsing-pool');
 
 class FileDependencyAnalyzer {
-  constructor(rootDir) {
+  constructor(rootDir, options = {}) {
     this.rootDir = rootDir;
+    this.options = {
+      collapseBarrels: false, // Point consumers at the module that defines a symbol, not the barrel
+      // Conditions matched in package.json "exports"/"imports" ("default" always matches).
+      // "import" only applies to ESM imports and "require" only to CommonJS requires.
+      conditions: ['import', 'require', 'node'],
+      // Files (paths or globs relative to the root) the app starts from. When empty, entry
+      // points are inferred from package.json main/module/bin/exports and HTML script tags
+      entryPoints: [],
+      include: [], // Globs a file must match to be analyzed (every file when empty)
+      exclude: [], // Globs for files and directories to skip, on top of node_modules, .git and dist
+      gitignore: true, // Skip what the project's .gitignore files (nested ones included) ignore
+      maxDepth: Infinity, // Directory levels below the root to descend into
+      cache: true, // Reuse the imports and methods of unchanged files from the last run
+      cacheDir: path.join(os.homedir(), '.cache', 'depensee'),
+      // Worker threads that parse files in parallel; 0 parses on the main thread
+      workers: Math.min(4, os.cpus().length - 1),
+      // depensee.config.json (or "depensee" in package.json) overrides the defaults,
+      // options passed in (e.g. from the query string) override the config file
+      ...this.loadProjectConfig(rootDir),
+      ...options
+    };
+    // Every thread loads its own parser, so whatever set it, there are never more than CPUs
+    this.options.workers = Math.min(this.options.workers, os.cpus().length);
+    this.includeRules = this.options.include.map(glob => this.createPathRule(rootDir, glob));
+    this.excludeRules = ['node_modules', '.git', 'dist', ...this.options.exclude]
+      .map(glob => this.createPathRule(rootDir, glob));
     this.dependencies = {};
+    this.dependencyEdges = {}; // Edge metadata (module system, kind, line) by source file
+    this.importTargets = {}; // Node each import specifier resolved to, by source file
     this.nodeInfo = {};
+    this.fileExports = {}; // Export surface by file: { names (defined locally), entries (all exports) }
+    this.unusedExports = {}; // Export names no consumer imports, by file
+    this.reachability = null; // Entry points and the files none of them reach
+    this.unresolvedAliases = []; // Alias-style imports that no tsconfig/jsconfig path resolves
+    this.diagnostics = []; // Parse errors, unreadable files and unresolved imports
+    this.compilerConfigCache = new Map(); // Nearest tsconfig/jsconfig settings by directory
+    this.packageScopeCache = new Map(); // Nearest package.json by directory
+    this.workspacePackages = {}; // Workspace package name -> { dir, json }
     this.libraries = new Set();
+    this.builtins = new Set(); // Node builtin modules (fs, node:path, ...)
+    this.lockfileCache = new Map(); // Nearest package-lock.json by directory
     this.fileTypes = new Set();
 
-    this.methodInfo = {};  // Store method details by file
-    this.methodDependencies = {}; // Track method-to-method dependencies
-  }
+    this.analysisCache = {}; // Cached per-file extraction results from the last run, by file
+    this.nextAnalysisCache = {}; // Entries for the files seen in this run
+    this.cacheStats = { hits: 0, misses: 0 };
+
+    this.methodInfo = {};  // Store method details by file
+    this.methodDependencies = {}; // Track method-to-method dependencies
+  }
+
+  async analyze() {
+    console.log('Starting dependency analysis...');
+    this.loadWorkspaces();
+    this.loadAnalysisCache();
+    await this.processFiles(this.collectSourceFiles(this.rootDir));
+    this.saveAnalysisCache();
+    this.resolveImportedCalls();
+    this.flagDeprecatedCalls();
+
+    // Both run before barrels are collapsed, while imported names still match the barrel's
+    // exports and barrels still sit on the import paths
+    this.reachability = this.findUnreachableFiles();
+    this.unusedExports = this.findUnusedExports();
+
+    if (this.options.collapseBarrels) {
+      this.collapseBarrels();
+    }
+
+    return {
+      dependencies: this.dependencies,
+      dependencyEdges: this.dependencyEdges,
+      nodeInfo: this.nodeInfo,
+      libraries: Array.from(this.libraries),
+      builtins: Array.from(this.builtins),
+      fileTypes: Array.from(this.fileTypes),
+      unresolvedAliases: this.unresolvedAliases,
+      diagnostics: this.diagnostics.sort((a, b) =>
+        a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0)),
+      exports: Object.keys(this.fileExports).reduce((result, file) => {
+        result[file] = this.fileExports[file].entries;
+        return result;
+      }, {}),
+      unusedExports: this.unusedExports,
+      reachability: this.reachability,
+      workspacePackages: Object.keys(this.workspacePackages).sort().map(name => ({
+        name,
+        path: path.relative(this.rootDir, this.workspacePackages[name].dir)
+      })),
+      cache: { enabled: this.options.cache, ...this.cacheStats },
+      methodInfo: this.methodInfo,          // New: method info
+      methodDependencies: this.methodDependencies // New: method dependencies
+    };
+  }
+
+  // Walk the project and list the source files to analyze, in directory order
+  collectSourceFiles(dirPath, depth = 0, ignoreRules = this.loadParentIgnoreRules(), files = []) {
+    try {
+      // Rules from nested .gitignore files come last, so they override their parents'
+      if (this.options.gitignore) {
+        ignoreRules = ignoreRules.concat(this.readIgnoreRules(dirPath));
+      }
+
+      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+
+      for (const entry of entries) {
+        const fullPath = path.join(dirPath, entry.name);
+        const isDirectory = entry.isDirectory();
+
+        // Skip excluded and ignored paths (whole directories at once)
+        if (this.matchPathRules(this.excludeRules, fullPath, isDirectory) ||
+          this.matchPathRules(ignoreRules, fullPath, isDirectory)) {
+          continue;
+        }
+
+        if (isDirectory) {
+          if (depth < this.options.maxDepth) {
+            this.collectSourceFiles(fullPath, depth + 1, ignoreRules, files);
+          }
+        } else if (this.isJsOrTsFile(entry.name) &&
+          (this.includeRules.length === 0 || this.matchPathRules(this.includeRules, fullPath, false))) {
+          files.push(fullPath);
+        }
+      }
+    } catch (error) {
+      this.addDiagnostic(path.relative(this.rootDir, dirPath) || '.', 'unreadable-directory', { message: error.message });
+    }
+
+    return files;
+  }
+
+  // Analyze the files one by one, or parse them on a pool of worker threads first.
+  // Results are always applied in directory order, so both modes give the same output
+  async processFiles(files) {
+    const fileInfos = this.options.workers > 0 && files.length > 1
+      ? await this.extractInParallel(files)
+      : [];
+
+    for (let i = 0; i < files.length; i++) {
+      await this.processFile(files[i], fileInfos[i]);
+    }
+  }
+
+  // Get every file's extracted info, parsing cache misses on worker threads
+  async extractInParallel(files) {
+    let pool = null;
+    const extract = (filePath, fileContent) => {
+      // Workers only start once something actually needs parsing
+      if (!pool) {
+        pool = new ParsingPool(this.options.workers, { rootDir: this.rootDir, options: this.options });
+      }
+      return pool.run(filePath, fileContent);
+    };
+
+    const fileInfos = new Array(files.length);
+    let next = 0;
+
+    // Keep a couple of files per worker in flight, so contents aren't all read up front
+    const runNext = async () => {
+      while (next < files.length) {
+        const index = next++;
+        try {
+          fileInfos[index] = await this.getFileInfo(files[index], path.relative(this.rootDir, files[index]), extract);
+        } catch (error) {
+          // Left empty: processFile retries the file on the main thread and reports the error
+        }
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: this.options.workers * 2 }, runNext));
+    } finally {
+      if (pool) await pool.close();
+    }
+
+    return fileInfos;
+  }
+
+  // Read analyzer options from depensee.config.json or the "depensee" field of package.json
+  loadProjectConfig(rootDir) {
+    const configPath = path.join(rootDir, 'depensee.config.json');
+    if (fs.existsSync(configPath)) {
+      return this.readJsonFile(configPath) || {};
+    }
+
+    const packageJson = this.readJsonFile(path.join(rootDir, 'package.json'), true);
+    return (packageJson && packageJson.depensee) || {};
+  }
+
+  // Collect the .gitignore rules of the directories between the git repository root and
+  // the analyzed directory, for projects that are a subdirectory of a repository
+  loadParentIgnoreRules() {
+    if (!this.options.gitignore) return [];
+
+    const rules = [];
+    let dir = this.rootDir;
+    while (!fs.existsSync(path.join(dir, '.git'))) {
+      const parentDir = path.dirname(dir);
+      // Outside a git repository, .gitignore files above the root don't apply
+      if (parentDir === dir) return [];
+      dir = parentDir;
+      rules.unshift(...this.readIgnoreRules(dir));
+    }
+    return rules;
+  }
+
+  // Parse the .gitignore file of a directory into path rules
+  readIgnoreRules(dir) {
+    const ignorePath = path.join(dir, '.gitignore');
+    if (!fs.existsSync(ignorePath)) return [];
+
+    try {
+      return fs.readFileSync(ignorePath, 'utf8').split(/\r?\n/)
+        .map(line => line.replace(/(?<!\\)\s+$/, ''))
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => this.createPathRule(dir, line));
+    } catch (error) {
+      console.warn(`Could not read ${ignorePath}:`, error.message);
+      return [];
+    }
+  }
+
+  // Compile a gitignore-style pattern into a rule relative to a base directory:
+  // '!' negates, a trailing '/' only matches directories, and a pattern without
+  // a '/' in front or in the middle matches at any depth
+  createPathRule(baseDir, pattern) {
+    const negated = pattern.startsWith('!');
+    let glob = (negated ? pattern.slice(1) : pattern).replace(/^\\([#!])/, '$1');
+
+    const directoryOnly = glob.endsWith('/');
+    glob = glob.replace(/\/+$/, '');
+
+    if (!glob.includes('/')) {
+      glob = `**/${glob}`;
+    }
+
+    return { baseDir, negated, directoryOnly, regex: this.globToRegExp(glob.replace(/^\//, '')) };
+  }
+
+  // Check a path against a list of rules; the last matching rule decides
+  matchPathRules(rules, fullPath, isDirectory) {
+    let matched = false;
+
+    rules.forEach(rule => {
+      if (rule.directoryOnly && !isDirectory) return;
+
+      const relativePath = path.relative(rule.baseDir, fullPath).split(path.sep).join('/');
+      if (relativePath.startsWith('..') || !rule.regex.test(relativePath)) return;
+
+      matched = !rule.negated;
+    });
+
+    return matched;
+  }
+
+  isJsOrTsFile(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    return ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts', '.vue', '.svelte', '.astro'].includes(ext);
+  }
+
+  // Parse a file with the Babel options for its type. Single-file components are
+  // parsed from their script blocks only
+  parseSource(filePath, fileContent) {
+    const ext = this.getFileExtension(filePath);
+    if (!['.vue', '.svelte', '.astro'].includes(ext)) {
+      return parser.parse(fileContent, this.getParserOptions(ext));
+    }
+
+    const { code, lang } = this.extractComponentScript(ext, fileContent);
+    return parser.parse(code, {
+      ...this.getParserOptions(`.${lang}`),
+      // Astro frontmatter may return early (e.g. return Astro.redirect('/'))
+      allowReturnOutsideFunction: ext === '.astro'
+    });
+  }
+
+  // Extract the script of a Vue, Svelte or Astro component. Everything outside the
+  // script blocks is blanked out (newlines kept) so AST lines and columns still
+  // match the original file
+  extractComponentScript(ext, fileContent) {
+    const blocks = [];
+
+    // Astro: the frontmatter between the leading --- fences (always TypeScript)
+    if (ext === '.astro') {
+      const frontmatter = fileContent.match(/^(\s*---\r?\n)([\s\S]*?)\r?\n---/);
+      if (frontmatter) {
+        blocks.push({
+          start: frontmatter[1].length,
+          end: frontmatter[1].length + frontmatter[2].length,
+          lang: 'ts',
+          moduleScope: false
+        });
+      }
+    }
+
+    // <script>, <script setup lang="ts">, <script context="module">; Astro's inline
+    // scripts are left to the browser, and src="..." blocks have no content
+    const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+    let match;
+    while ((match = scriptRegex.exec(fileContent)) !== null) {
+      const attributes = match[1];
+      if (/\bis:inline\b/.test(attributes) || /\bsrc\s*=/.test(attributes)) continue;
+      if (/\btype\s*=\s*["'](?!module|text\/javascript|application\/javascript)/i.test(attributes)) continue;
+
+      const langMatch = attributes.match(/\blang\s*=\s*["']([^"']+)["']/);
+      const start = match.index + match[0].indexOf('>') + 1;
+      blocks.push({
+        start,
+        end: start + match[2].length,
+        lang: langMatch ? langMatch[1].toLowerCase() : (ext === '.astro' ? 'ts' : 'js'),
+        // Svelte instance scripts export props; only <script context="module"> (or
+        // <script module>) exports to other modules. Astro reads its exports itself
+        moduleScope: ext === '.vue' ||
+          (ext === '.svelte' && /\bcontext\s*=\s*["']module["']|\bmodule\b/.test(attributes))
+      });
+    }
+
+    let code = fileContent.replace(/[^\r\n]/g, ' ');
+    blocks.forEach(block => {
+      code = code.slice(0, block.start) + fileContent.slice(block.start, block.end) + code.slice(block.end);
+    });
+
+    // One TypeScript block makes the whole component TypeScript
+    const langs = blocks.map(block => block.lang);
+    const lang = ['tsx', 'ts', 'jsx'].find(candidate => langs.includes(candidate)) || 'js';
+
+    return { code, lang, blocks };
+  }
+
+  // Get a file's type: its extension, with declaration files ('.d.ts', '.d.mts', '.d.cts') kept whole
+  getFileExtension(filePath) {
+    const match = path.basename(filePath).toLowerCase().match(/\.d\.[mc]?ts$/);
+    return match ? match[0] : path.extname(filePath).toLowerCase();
+  }
+
+  // Babel options for a file type: JSX only where it is valid (it clashes with TS angle-bracket
+  // casts), "script" for CommonJS-only .cjs files and ambient contexts for declaration files
+  getParserOptions(ext) {
+    if (ext.startsWith('.d.')) {
+      return { sourceType: 'module', plugins: [['typescript', { dts: true }]] };
+    }
+
+    switch (ext) {
+      case '.ts':
+      case '.mts':
+      case '.cts':
+        return { sourceType: 'module', plugins: ['typescript'] };
+      case '.tsx':
+        return { sourceType: 'module', plugins: ['typescript', 'jsx'] };
+      case '.mjs':
+        return { sourceType: 'module', plugins: [] };
+      case '.cjs':
+        // CommonJS wraps modules in a function, so top-level return is allowed
+        return { sourceType: 'script', allowReturnOutsideFunction: true, plugins: [] };
+      default:
+        // .js and .jsx files often hold JSX
+        return { sourceType: 'module', plugins: ['jsx'] };
+    }
+  }
+
+  async processFile(filePath, extractedInfo = null) {
+    try {
+      const relativePath = path.relative(this.rootDir, filePath);
+      const fileExt = this.getFileExtension(filePath);
+      const isDeclaration = fileExt.startsWith('.d.');
+      let fileInfo = extractedInfo;
+      if (!fileInfo) {
+        try {
+          fileInfo = await this.getFileInfo(filePath, relativePath);
+        } catch (error) {
+          // The file still gets a node, so its importers' edges have a target
+          fileInfo = { size: 0, readError: error.message };
+        }
+      }
+
+      this.fileTypes.add(fileExt);
+
+      // Initialize node info
+      if (!this.nodeInfo[relativePath]) {
+        this.nodeInfo[relativePath] = {
+          name: path.basename(filePath),
+          path: relativePath,
+          type: fileExt,
+          size: fileInfo.size,
+          package: this.getPackageName(filePath),
+          ...(isDeclaration ? { declaration: true } : {})
+        };
+      }
+
+      // Initialize dependencies array for this file
+      if (!this.dependencies[relativePath]) {
+        this.dependencies[relativePath] = [];
+      }
+
+      // Initialize dependency edge metadata for this file
+      if (!this.dependencyEdges[relativePath]) {
+        this.dependencyEdges[relativePath] = [];
+      }
+
+      if (fileInfo.readError) {
+        this.addDiagnostic(relativePath, 'unreadable-file', { message: fileInfo.readError });
+        return;
+      }
+
+      if (fileInfo.parseError) {
+        this.addDiagnostic(relativePath, 'parse-error', fileInfo.parseError);
+        return;
+      }
+
+      // Imports resolve against the current tree, so only their extraction is cached
+      this.fileExports[relativePath] = fileInfo.exports;
+      fileInfo.imports.forEach(record => {
+        this.addImport(relativePath, filePath, record);
+      });
+      this.methodInfo[relativePath] = fileInfo.methodInfo;
+      this.methodDependencies[relativePath] = fileInfo.methodDependencies;
+    } catch (error) {
+      console.error(`Error processing file ${filePath}:`, error);
+    }
+  }
+
+  // Record a problem found in a file. Errors leave the whole file out of the graph,
+  // warnings a single import
+  addDiagnostic(file, type, details) {
+    const severity = ['unresolved-import', 'unresolved-alias'].includes(type) ? 'warning' : 'error';
+    this.diagnostics.push({ file, type, severity, ...details });
+  }
+
+  // Get the extracted imports, exports and methods of a file, from the cache when the
+  // file is unchanged: same mtime and size, or (after a checkout or touch) same content
+  async getFileInfo(filePath, relativePath, extract = (file, content) => this.extractFileInfo(file, content)) {
+    if (!this.options.cache) {
+      return extract(filePath, fs.readFileSync(filePath, 'utf8'));
+    }
+
+    const stats = fs.statSync(filePath);
+    const cached = this.analysisCache[relativePath];
+
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      this.cacheStats.hits++;
+      this.nextAnalysisCache[relativePath] = cached;
+      return cached.fileInfo;
+    }
+
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    const hash = crypto.createHash('sha1').update(fileContent).digest('hex');
+
+    let fileInfo;
+    if (cached && cached.hash === hash) {
+      this.cacheStats.hits++;
+      fileInfo = cached.fileInfo;
+    } else {
+      this.cacheStats.misses++;
+      fileInfo = await extract(filePath, fileContent);
+    }
+
+    this.nextAnalysisCache[relativePath] = { mtimeMs: stats.mtimeMs, size: stats.size, hash, fileInfo };
+    return fileInfo;
+  }
+
+  // Parse a file and extract everything that depends on its content alone: import
+  // records, the export surface and methods
+  async extractFileInfo(filePath, fileContent) {
+    const relativePath = path.relative(this.rootDir, filePath);
+    const fileExt = this.getFileExtension(filePath);
+    const isDeclaration = fileExt.startsWith('.d.');
+    const size = fileContent.length;
+
+    try {
+      const ast = this.parseSource(filePath, fileContent);
+
+      const moduleInfo = this.collectModuleInfo(ast);
+
+      // Declaration files only describe types: nothing they import or export runs
+      if (isDeclaration) {
+        moduleInfo.imports.forEach(record => {
+          record.typeOnly = true;
+        });
+        moduleInfo.exports.entries.forEach(entry => {
+          entry.typeOnly = true;
+        });
+      }
+
+      // Component exports outside module-scope scripts can't be imported
+      if (fileExt === '.svelte' || fileExt === '.astro') {
+        const lineOf = offset => fileContent.slice(0, offset).split('\n').length;
+        const moduleBlocks = this.extractComponentScript(fileExt, fileContent).blocks
+          .filter(block => block.moduleScope)
+          .map(block => ({ startLine: lineOf(block.start), endLine: lineOf(block.end) }));
+        const inModuleScope = entry => moduleBlocks.some(block => entry.line >= block.startLine && entry.line <= block.endLine);
+
+        moduleInfo.exports.entries = moduleInfo.exports.entries.filter(inModuleScope);
+        moduleInfo.exports.names = moduleInfo.exports.names.filter(name =>
+          moduleInfo.exports.entries.some(entry => entry.name === name));
+      }
+
+      await this.extractMethodInfo(filePath, fileContent, ast);
+
+      return {
+        size,
+        imports: moduleInfo.imports,
+        exports: moduleInfo.exports,
+        methodInfo: this.methodInfo[relativePath],
+        methodDependencies: this.methodDependencies[relativePath]
+      };
+    } catch (parseError) {
+      // Babel appends the position to the message: 'Unexpected token (3:14)'
+      return {
+        size,
+        parseError: {
+          message: parseError.message.replace(/\s*\(\d+:\d+\)$/, ''),
+          ...(parseError.loc ? { line: parseError.loc.line, column: parseError.loc.column + 1 } : {})
+        }
+      };
+    }
+  }
+
+  // Get the cache file for the analyzed project. Entries are only valid for the same
+  // analyzer code and parser version
+  getAnalysisCachePath() {
+    const projectKey = crypto.createHash('sha1').update(path.resolve(this.rootDir)).digest('hex').slice(0, 16);
+    return path.join(this.options.cacheDir, `${projectKey}.json`);
+  }
+
+  getAnalysisCacheVersion() {
+    return crypto.createHash('sha1')
+      .update(fs.readFileSync(__filename))
+      .update(require('@babel/parser/package.json').version)
+      .digest('hex');
+  }
+
+  // Load the cached per-file results of the last run
+  loadAnalysisCache() {
+    if (!this.options.cache) return;
+
+    try {
+      const cachePath = this.getAnalysisCachePath();
+      if (!fs.existsSync(cachePath)) return;
+
+      const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      if (cache.version === this.getAnalysisCacheVersion()) {
+        this.analysisCache = cache.files || {};
+      }
+    } catch (error) {
+      console.warn('Ignoring unreadable analysis cache:', error.message);
+    }
+  }
+
+  // Store the results of this run. Files that no longer exist drop out of the cache
+  saveAnalysisCache() {
+    if (!this.options.cache) return;
+
+    try {
+      const cachePath = this.getAnalysisCachePath();
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+
+      // Write to a temporary file first so an interrupted write never leaves a corrupt cache
+      const tempPath = `${cachePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({
+        version: this.getAnalysisCacheVersion(),
+        files: this.nextAnalysisCache
+      }));
+      fs.renameSync(tempPath, cachePath);
+    } catch (error) {
+      console.warn('Could not write analysis cache:', error.message);
+    }
+  }
+
+  // Collect raw import records (ESM imports, re-exports and CommonJS requires)
+  // and the module's export surface
+  collectModuleInfo(ast) {
+    const records = [];
+    const exportNames = new Set(); // Names defined by this module itself
+    let commonjs = false; // Exports are members of module.exports
+    const exportEntries = []; // Every export: named, default, re-exported, type-only
+
+    const addLocalExport = (name, kind, typeOnly, line) => {
+      exportNames.add(name);
+      exportEntries.push({ name, kind, typeOnly: Boolean(typeOnly), line });
+    };
+
+    traverse(ast, {
+      ImportDeclaration: ({ node }) => {
+        const statementIsType = node.importKind === 'type' || node.importKind === 'typeof';
+        const specifiers = node.specifiers.map(spec => ({
+          imported: this.getImportedName(spec),
+          local: spec.local.name,
+          kind: this.getSpecifierKind(spec),
+          typeOnly: statementIsType || spec.importKind === 'type' || spec.importKind === 'typeof'
+        }));
+
+        records.push({
+          specifier: node.source.value,
+          moduleSystem: 'esm',
+          kind: 'import',
+          line: node.loc.start.line,
+          specifiers,
+          // import './polyfills' runs the module only for its side effects
+          sideEffect: specifiers.length === 0,
+          typeOnly: statementIsType || (specifiers.length > 0 && specifiers.every(spec => spec.typeOnly))
+        });
+      },
+
+      // export * from './x' and export * as ns from './x'
+      ExportAllDeclaration: ({ node }) => {
+        const record = {
+          specifier: node.source.value,
+          moduleSystem: 'esm',
+          kind: 'reexport',
+          line: node.loc.start.line,
+          specifiers: []
+        };
+        if (node.exported) {
+          record.specifiers.push({ imported: '*', exported: node.exported.name });
+        } else {
+          record.exportAll = true;
+        }
+        records.push(record);
+
+        exportEntries.push({
+          name: node.exported ? node.exported.name : '*',
+          kind: node.exported ? 'reexport' : 'reexport-all',
+          typeOnly: node.exportKind === 'type',
+          line: record.line,
+          from: record.specifier
+        });
+      },
+
+      // export { a, b as c } from './x' re-exports; everything else is a local export
+      ExportNamedDeclaration: ({ node }) => {
+        const line = node.loc.start.line;
+        const statementIsType = node.exportKind === 'type';
+
+        if (node.source) {
+          const specifiers = node.specifiers.map(spec => ({
+            imported: spec.type === 'ExportNamespaceSpecifier' ? '*' : this.getModuleExportName(spec.local),
+            exported: this.getModuleExportName(spec.exported),
+            typeOnly: statementIsType || spec.exportKind === 'type'
+          }));
+
+          records.push({
+            specifier: node.source.value,
+            moduleSystem: 'esm',
+            kind: 'reexport',
+            line,
+            specifiers
+          });
+
+          specifiers.forEach(spec => exportEntries.push({
+            name: spec.exported,
+            kind: 'reexport',
+            typeOnly: spec.typeOnly,
+            line,
+            from: node.source.value
+          }));
+          return;
+        }
+
+        // Interfaces and type aliases only exist at the type level
+        const declarationIsType = Boolean(node.declaration) &&
+          ['TSInterfaceDeclaration', 'TSTypeAliasDeclaration'].includes(node.declaration.type);
+        this.getDeclaredNames(node.declaration).forEach(name => {
+          addLocalExport(name, 'named', statementIsType || declarationIsType, line);
+        });
+        node.specifiers.forEach(spec => {
+          addLocalExport(this.getModuleExportName(spec.exported), 'named',
+            statementIsType || spec.exportKind === 'type', line);
+        });
+      },
+
+      ExportDefaultDeclaration: ({ node }) => {
+        addLocalExport('default', 'default', false, node.loc.start.line);
+      },
+
+      // TypeScript's CommonJS forms (.cts files): import x = require('y') and export = x
+      TSImportEqualsDeclaration: ({ node }) => {
+        const reference = node.moduleReference;
+        if (reference.type !== 'TSExternalModuleReference') return;
+
+        const typeOnly = node.importKind === 'type';
+        records.push({
+          specifier: reference.expression.value,
+          moduleSystem: 'cjs',
+          kind: 'require',
+          line: node.loc.start.line,
+          typeOnly,
+          specifiers: [{ imported: '*', local: node.id.name, kind: 'namespace', typeOnly }]
+        });
+      },
+
+      TSExportAssignment: ({ node }) => {
+        addLocalExport('default', 'default', false, node.loc.start.line);
+      },
+
+      // CommonJS exports: exports.x = ..., module.exports.x = ..., module.exports = { ... }
+      AssignmentExpression: ({ node }) => {
+        if (!this.isModuleExportsAssignment(node, node.right)) return;
+
+        // Assigning require() results is a re-export, recorded with the require call
+        if (node.right.type === 'CallExpression' && node.right.callee.type === 'Identifier' &&
+          node.right.callee.name === 'require') {
+          return;
+        }
+
+        const line = node.loc.start.line;
+        const exportedProperty = this.getExportsPropertyName(node.left);
+        commonjs = true;
+        if (exportedProperty) {
+          addLocalExport(exportedProperty, 'named', false, line);
+        } else if (node.right.type === 'ObjectExpression') {
+          node.right.properties
+            .filter(prop => (prop.type === 'ObjectProperty' || prop.type === 'ObjectMethod') && !prop.computed)
+            .forEach(prop => addLocalExport(this.getModuleExportName(prop.key), 'named', false, line));
+        } else {
+          addLocalExport('default', 'default', false, line);
+        }
+      },
+
+      // new URL('./x', import.meta.url) for assets, and inside new Worker(...) to start workers
+      NewExpression: (newPath) => {
+        const { node } = newPath;
+        if (node.callee.type !== 'Identifier' || node.callee.name !== 'URL') return;
+        if (!this.isImportMetaProperty(node.arguments[1], ['url'])) return;
+
+        const specifier = this.getStaticSpecifier(node.arguments[0]);
+        if (!specifier) return;
+
+        const workerType = this.getWorkerType(newPath);
+        records.push({
+          specifier,
+          moduleSystem: 'esm',
+          kind: workerType ? 'worker' : 'url',
+          line: node.loc.start.line,
+          // Workers are loaded when they start, like a dynamic import
+          ...(workerType ? { dynamic: true, workerType } : {})
+        });
+      },
+
+      // Handle require('x'), require.resolve('x') and module.exports = require('x')
+      CallExpression: (callPath) => {
+        const { node } = callPath;
+        const callee = node.callee;
+
+        // Vite's import.meta.glob('./modules/*.ts', { eager, import })
+        if (this.isImportMetaProperty(callee, ['glob', 'globEager'])) {
+          const globs = this.getGlobPatterns(node.arguments[0]);
+          if (globs.length === 0) return;
+
+          const options = this.getStaticObject(node.arguments[1]);
+          const eager = callee.property.name === 'globEager' || options.eager === true;
+          records.push({
+            specifier: globs.join(', '),
+            moduleSystem: 'esm',
+            kind: 'glob',
+            dynamic: !eager,
+            line: node.loc.start.line,
+            globs,
+            // { import: 'setup' } only loads one export of each module
+            ...(typeof options.import === 'string'
+              ? { specifiers: [{ imported: options.import, local: null, kind: options.import === 'default' ? 'default' : 'named', typeOnly: false }] }
+              : {})
+          });
+          return;
+        }
+
+        // Dynamic import('x'), including React.lazy(() => import('x'))
+        if (callee.type === 'Import') {
+          const record = {
+            moduleSystem: 'esm',
+            kind: 'dynamic-import',
+            dynamic: true,
+            lazy: this.isInsideLazyCall(callPath),
+            line: node.loc.start.line
+          };
+
+          const specifier = this.getStaticSpecifier(node.arguments[0]);
+          if (specifier) {
+            records.push({ ...record, specifier });
+          } else {
+            // Template literals and concatenations with a static prefix resolve to a glob
+            const pattern = this.getSpecifierPattern(node.arguments[0]);
+            if (pattern) {
+              records.push({ ...record, specifier: pattern.join('*'), pattern });
+            }
+          }
+          return;
+        }
+
+        let kind = null;
+        if (callee.type === 'Identifier' && callee.name === 'require') {
+          kind = 'require';
+        } else if (callee.type === 'MemberExpression' &&
+          callee.object.type === 'Identifier' && callee.object.name === 'require' &&
+          callee.property.type === 'Identifier' && callee.property.name === 'resolve') {
+          kind = 'require-resolve';
+        }
+        if (!kind) return;
+
+        // Skip calls to a locally defined "require" function
+        if (callPath.scope.hasBinding('require')) return;
+
+        const specifier = this.getStaticSpecifier(node.arguments[0]);
+        if (!specifier) return;
+
+        // module.exports = require('x') re-exports the required module
+        let reexport = {};
+        if (kind === 'require' && this.isModuleExportsAssignment(callPath.parent, node)) {
+          kind = 'reexport';
+          commonjs = true;
+
+          // exports.x = require('x') re-exports the whole module under one name
+          const exportedProperty = this.getExportsPropertyName(callPath.parent.left);
+          reexport = exportedProperty
+            ? { specifiers: [{ imported: '*', exported: exportedProperty }] }
+            : { exportAll: true };
+
+          exportEntries.push({
+            name: exportedProperty || '*',
+            kind: exportedProperty ? 'reexport' : 'reexport-all',
+            typeOnly: false,
+            line: node.loc.start.line,
+            from: specifier
+          });
+        }
+
+        records.push({
+          specifier,
+          moduleSystem: 'cjs',
+          kind,
+          line: node.loc.start.line,
+          ...(kind === 'require' ? this.getRequireBindings(callPath) : reexport)
+        });
+      }
+    });
+
+    records.push(...this.getReferenceDirectives(ast));
+
+    return {
+      imports: records,
+      exports: { names: Array.from(exportNames), entries: exportEntries, commonjs }
+    };
+  }
+
+  // Triple-slash directives at the top of TS files: /// <reference path="..." /> pulls in
+  // another file's declarations, /// <reference types="..." /> an @types package
+  getReferenceDirectives(ast) {
+    const firstStatement = ast.program.body[0];
+    const headerEnd = firstStatement ? firstStatement.start : Infinity;
+
+    return (ast.comments || [])
+      .filter(comment => comment.type === 'CommentLine' && comment.start < headerEnd)
+      .map(comment => {
+        const match = comment.value.match(/^\/\s*<reference\s+(path|types)\s*=\s*["']([^"']+)["']/);
+        if (!match) return null;
+
+        const [, attribute, value] = match;
+        let specifier = value;
+        if (attribute === 'path') {
+          // Reference paths are always relative to the file
+          specifier = value.startsWith('.') || value.startsWith('/') ? value : `./${value}`;
+        } else if (this.splitPackageSpecifier(value).subpath === '.') {
+          // types="node" means @types/node; types="vite/client" points into the package itself
+          specifier = `@types/${value.replace(/^@([^/]+)\//, '$1__')}`;
+        }
+
+        // Only declarations are pulled in, so no export counts as used
+        return { specifier, moduleSystem: 'esm', kind: 'reference', line: comment.loc.start.line, typeOnly: true, sideEffect: true };
+      })
+      .filter(Boolean);
+  }
+
+  // Check for import.meta.<name>, e.g. import.meta.url or import.meta.glob
+  isImportMetaProperty(node, names) {
+    return Boolean(node) && node.type === 'MemberExpression' && !node.computed &&
+      node.object.type === 'MetaProperty' && node.object.meta.name === 'import' &&
+      node.property.type === 'Identifier' && names.includes(node.property.name);
+  }
+
+  // Get the kind of worker a new URL(...) starts: new Worker(url), new SharedWorker(url)
+  // or navigator.serviceWorker.register(url). Null for plain asset URLs
+  getWorkerType(urlPath) {
+    const parent = urlPath.parent;
+    if (!parent.arguments || parent.arguments[0] !== urlPath.node) return null;
+
+    if (parent.type === 'NewExpression' && parent.callee.type === 'Identifier') {
+      if (parent.callee.name === 'Worker') return 'worker';
+      if (parent.callee.name === 'SharedWorker') return 'shared';
+    }
+
+    const callee = parent.callee;
+    if (parent.type === 'CallExpression' && callee.type === 'MemberExpression' &&
+      callee.property.type === 'Identifier' && callee.property.name === 'register' &&
+      callee.object.type === 'MemberExpression' && callee.object.property.type === 'Identifier' &&
+      callee.object.property.name === 'serviceWorker') {
+      return 'service';
+    }
+
+    return null;
+  }
+
+  // Get the patterns of import.meta.glob: a string or an array of strings
+  getGlobPatterns(arg) {
+    if (!arg) return [];
+    if (arg.type === 'ArrayExpression') {
+      return arg.elements.map(element => this.getStaticSpecifier(element)).filter(Boolean);
+    }
+    const pattern = this.getStaticSpecifier(arg);
+    return pattern ? [pattern] : [];
+  }
+
+  // Read the literal-valued properties of an object expression ({ eager: true })
+  getStaticObject(node) {
+    const result = {};
+    if (!node || node.type !== 'ObjectExpression') return result;
+
+    node.properties.forEach(property => {
+      if (property.type !== 'ObjectProperty' || property.computed) return;
+      const key = this.getModuleExportName(property.key);
+      if (['StringLiteral', 'BooleanLiteral', 'NumericLiteral'].includes(property.value.type)) {
+        result[key] = property.value.value;
+      }
+    });
+
+    return result;
+  }
+
+  // Get x from exports.x or module.exports.x (null for module.exports itself)
+  getExportsPropertyName(left) {
+    if (left.type !== 'MemberExpression' || left.computed) return null;
+
+    const object = left.object;
+    const isExports = object.type === 'Identifier' && object.name === 'exports';
+    const isModuleExports = object.type === 'MemberExpression' &&
+      object.object.type === 'Identifier' && object.object.name === 'module' &&
+      object.property.type === 'Identifier' && object.property.name === 'exports';
+
+    return isExports || isModuleExports ? this.getModuleExportName(left.property) : null;
+  }
+
+  // Describe what a require() call binds: destructured names, the whole module, or nothing
+  getRequireBindings(callPath) {
+    const parent = callPath.parent;
+
+    // const { a, b: c } = require('x')
+    if (parent.type === 'VariableDeclarator' && parent.init === callPath.node) {
+      if (parent.id.type === 'ObjectPattern') {
+        const specifiers = parent.id.properties
+          .filter(prop => prop.type === 'ObjectProperty' && !prop.computed)
+          .map(prop => ({
+            imported: this.getModuleExportName(prop.key),
+            local: prop.value.type === 'AssignmentPattern' ? prop.value.left.name : prop.value.name,
+            kind: 'named'
+          }))
+          .filter(spec => spec.local);
+        return { specifiers };
+      }
+
+      // const x = require('x') binds the whole module
+      if (parent.id.type === 'Identifier') {
+        return { specifiers: [{ imported: '*', local: parent.id.name, kind: 'namespace' }] };
+      }
+    }
+
+    // require('x').name
+    if (parent.type === 'MemberExpression' && parent.object === callPath.node && !parent.computed &&
+      parent.property.type === 'Identifier') {
+      const local = callPath.parentPath.parent.type === 'VariableDeclarator' &&
+        callPath.parentPath.parent.id.type === 'Identifier'
+        ? callPath.parentPath.parent.id.name
+        : parent.property.name;
+      return { specifiers: [{ imported: parent.property.name, local, kind: 'named' }] };
+    }
+
+    // require('./polyfills');
+    if (parent.type === 'ExpressionStatement') {
+      return { specifiers: [], sideEffect: true };
+    }
+
+    return {};
+  }
+
+  // Classify an import specifier as default, namespace or named
+  getSpecifierKind(spec) {
+    if (spec.type === 'ImportDefaultSpecifier') return 'default';
+    if (spec.type === 'ImportNamespaceSpecifier') return 'namespace';
+    return 'named';
+  }
+
+  // Get the name an import specifier takes from the source module
+  getImportedName(spec) {
+    if (spec.type === 'ImportDefaultSpecifier') return 'default';
+    if (spec.type === 'ImportNamespaceSpecifier') return '*';
+    return this.getModuleExportName(spec.imported);
+  }
+
+  // Export names may be identifiers or string literals (export { a as "b-c" })
+  getModuleExportName(node) {
+    return node.type === 'StringLiteral' ? node.value : node.name;
+  }
+
+  // Get the names bound by an exported declaration
+  getDeclaredNames(declaration) {
+    if (!declaration) return [];
+
+    if (declaration.type === 'VariableDeclaration') {
+      return declaration.declarations.flatMap(declarator => this.getPatternNames(declarator.id));
+    }
+
+    // Functions, classes, TS interfaces, type aliases and enums
+    return declaration.id && declaration.id.name ? [declaration.id.name] : [];
+  }
+
+  // Get every identifier bound by a (possibly destructuring) pattern
+  getPatternNames(pattern) {
+    if (!pattern) return [];
+
+    switch (pattern.type) {
+      case 'Identifier':
+        return [pattern.name];
+      case 'ObjectPattern':
+        return pattern.properties.flatMap(prop =>
+          this.getPatternNames(prop.type === 'RestElement' ? prop.argument : prop.value));
+      case 'ArrayPattern':
+        return pattern.elements.flatMap(element => this.getPatternNames(element));
+      case 'AssignmentPattern':
+        return this.getPatternNames(pattern.left);
+      case 'RestElement':
+        return this.getPatternNames(pattern.argument);
+      default:
+        return [];
+    }
+  }
+
+  // Get the string value of a specifier argument, if it is statically known
+  getStaticSpecifier(arg) {
+    if (!arg) return null;
+    if (arg.type === 'StringLiteral') return arg.value;
+    if (arg.type === 'TemplateLiteral' && arg.expressions.length === 0) {
+      return arg.quasis[0].value.cooked;
+    }
+    return null;
+  }
+
+  // Get the static parts of a partially dynamic specifier (`./pages/${name}.js` or './pages/' + name)
+  // Returns the list of static pieces, or null if there is no usable static prefix
+  getSpecifierPattern(arg) {
+    if (!arg) return null;
+
+    let pieces = null;
+    if (arg.type === 'TemplateLiteral') {
+      pieces = arg.quasis.map(quasi => quasi.value.cooked);
+    } else if (arg.type === 'BinaryExpression' && arg.operator === '+') {
+      pieces = this.getConcatenationPieces(arg);
+    }
+
+    // Only relative prefixes that name a directory can be expanded
+    if (!pieces || !pieces[0].startsWith('.') || !pieces[0].includes('/')) return null;
+    return pieces;
+  }
+
+  // Flatten a string concatenation into static pieces separated by dynamic parts
+  getConcatenationPieces(node) {
+    if (node.type === 'StringLiteral') return [node.value];
+    if (node.type !== 'BinaryExpression' || node.operator !== '+') return ['', ''];
+
+    const left = this.getConcatenationPieces(node.left);
+    const right = this.getConcatenationPieces(node.right);
+
+    // Join the last static piece on the left with the first on the right
+    return [...left.slice(0, -1), left[left.length - 1] + right[0], ...right.slice(1)];
+  }
+
+  // Check whether a call is wrapped in lazy(...) or React.lazy(...)
+  isInsideLazyCall(callPath) {
+    const lazyCall = callPath.findParent(parent => {
+      if (!parent.isCallExpression()) return false;
+      const callee = parent.node.callee;
+      return (callee.type === 'Identifier' && callee.name === 'lazy') ||
+        (callee.type === 'MemberExpression' && callee.property.type === 'Identifier' &&
+          callee.property.name === 'lazy');
+    });
+    return Boolean(lazyCall);
+  }
+
+  // Check whether a node is the right-hand side of module.exports = ... or exports.x = ...
+  isModuleExportsAssignment(parent, node) {
+    if (!parent || parent.type !== 'AssignmentExpression' || parent.right !== node) return false;
+
+    const left = parent.left;
+    if (left.type !== 'MemberExpression') return false;
+
+    // exports.x = require('x')
+    if (left.object.type === 'Identifier' && left.object.name === 'exports') return true;
+
+    // module.exports = require('x') and module.exports.x = require('x')
+    const target = left.object.type === 'MemberExpression' ? left.object : left;
+    return target.object.type === 'Identifier' && target.object.name === 'module' &&
+      target.property.type === 'Identifier' && target.property.name === 'exports';
+  }
+
+  // Resolve an import record and add it as a file or library dependency
+  addImport(relativePath, filePath, record) {
+    const importPath = record.specifier;
+
+    // import.meta.glob patterns expand to every file they match, assets included
+    if (record.globs) {
+      this.resolveGlobPatterns(record.globs, filePath).forEach(resolvedPath => {
+        this.addLocalDependency(relativePath, resolvedPath, record);
+      });
+      return;
+    }
+
+    // Partially dynamic specifiers expand to every file matching the glob
+    if (record.pattern) {
+      this.resolveImportPattern(record.pattern, filePath).forEach(resolvedPath => {
+        this.addLocalDependency(relativePath, resolvedPath, record);
+      });
+      return;
+    }
+
+    // Check if it's a library import or local file
+    if (importPath.startsWith('.') || importPath.startsWith('/')) {
+      // Vite query suffixes ('./logo.svg?url', './worker.js?worker') aren't part of the path
+      // The imported binding is then a worker constructor or a URL/string, not the module's export
+      const [localPath, query] = importPath.split('?');
+      const workerQuery = query && query.match(/^(shared)?worker\b/);
+      if (workerQuery) {
+        record = { ...record, kind: 'worker', dynamic: true, workerType: workerQuery[1] ? 'shared' : 'worker', specifiers: [] };
+      } else if (query && /^(url|raw)\b/.test(query)) {
+        record = { ...record, kind: 'url', specifiers: [] };
+      }
+
+      const resolvedPath = this.resolveLocalImport(localPath, filePath);
+      if (resolvedPath) {
+        this.addLocalDependency(relativePath, resolvedPath, record);
+      } else {
+        this.addMissingDependency(relativePath, path.resolve(path.dirname(filePath), localPath), record);
+      }
+    } else {
+      // Package "#imports" and self-references resolve through the nearest package.json
+      const packageTarget = this.resolvePackageSpecifier(importPath, filePath, record);
+      if (packageTarget && packageTarget.resolvedPath) {
+        this.addLocalDependency(relativePath, packageTarget.resolvedPath, record);
+        return;
+      }
+      if (packageTarget && packageTarget.specifier) {
+        // "#dep": "some-package" maps a private import to an external package
+        this.addImport(relativePath, filePath, { ...record, specifier: packageTarget.specifier });
+        return;
+      }
+      if (packageTarget && packageTarget.unresolved) {
+        this.reportUnresolvedAlias(relativePath, importPath, record);
+        return;
+      }
+
+      // Packages from the same monorepo resolve to their local sources
+      const workspacePath = this.resolveWorkspaceImport(importPath, filePath, record);
+      if (workspacePath) {
+        this.addLocalDependency(relativePath, workspacePath, record);
+        return;
+      }
+
+      // Try tsconfig/jsconfig "paths" and "baseUrl" before treating it as a library
+      const alias = this.resolveAliasedImport(importPath, filePath);
+      if (alias.resolvedPath) {
+        this.addLocalDependency(relativePath, alias.resolvedPath, record);
+        return;
+      }
+
+      // Aliases that resolve to nothing are reported rather than turned into fake libraries
+      if (alias.matched || this.looksLikeAlias(importPath)) {
+        this.reportUnresolvedAlias(relativePath, importPath, record);
+        return;
+      }
+
+      // It's a library: one node per package, the subpath is kept on the edge
+      this.addLibraryDependency(relativePath, filePath, importPath, record);
+    }
+  }
+
+  // Aliases and "#imports" that resolve to nothing are listed on their own and as diagnostics
+  reportUnresolvedAlias(relativePath, importPath, record) {
+    this.unresolvedAliases.push({ file: relativePath, specifier: importPath, line: record.line });
+    this.addDiagnostic(relativePath, 'unresolved-alias', {
+      message: `No path mapping resolves '${importPath}'`,
+      specifier: importPath,
+      line: record.line
+    });
+  }
+
+  // Add a dependency on a local file; stylesheets, JSON files, images and other
+  // non-source files get an asset node of their own
+  addLocalDependency(relativePath, resolvedPath, record) {
+    const target = path.relative(this.rootDir, resolvedPath);
+
+    if (!this.nodeInfo[target] && !this.isJsOrTsFile(resolvedPath) &&
+      fs.existsSync(resolvedPath) && fs.statSync(resolvedPath).isFile()) {
+      this.addAssetNode(resolvedPath);
+    }
+
+    this.addDependency(relativePath, target, record);
+  }
+
+  // Point a relative import that resolves to nothing at a "missing:" node, one per missing
+  // path, so typos and deleted files show up in the graph instead of vanishing
+  addMissingDependency(relativePath, missingPath, record) {
+    const target = path.relative(this.rootDir, missingPath);
+    const missingKey = `missing:${target}`;
+
+    if (!this.nodeInfo[missingKey]) {
+      this.nodeInfo[missingKey] = {
+        name: path.basename(target),
+        path: missingKey,
+        type: 'missing',
+        size: 50,
+        package: this.getPackageName(missingPath),
+        importers: [] // { file, line, specifier } for each import of the missing path
+      };
+    }
+
+    // The same import can be reached twice (import and require, re-export and import)
+    const { importers } = this.nodeInfo[missingKey];
+    const seen = importers.some(importer =>
+      importer.file === relativePath && importer.specifier === record.specifier && importer.line === record.line);
+    if (!seen) {
+      importers.push({ file: relativePath, line: record.line, specifier: record.specifier });
+      this.addDiagnostic(relativePath, 'unresolved-import', {
+        message: `Cannot resolve '${record.specifier}'`,
+        specifier: record.specifier,
+        line: record.line
+      });
+    }
+    this.addDependency(relativePath, missingKey, record);
+  }
+
+  // Only files have a place in the project's module graph; libraries and missing
+  // imports are its leaves
+  isFileNode(id) {
+    return !id.startsWith('library:') && !id.startsWith('missing:');
+  }
+
+  // Classify a non-source file as a stylesheet, json, image or other asset
+  getAssetType(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (['.css', '.scss', '.sass', '.less', '.styl', '.pcss'].includes(ext)) return 'stylesheet';
+    if (['.json', '.json5', '.jsonc'].includes(ext)) return 'json';
+    if (['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif', '.ico', '.bmp'].includes(ext)) return 'image';
+    return 'other';
+  }
+
+  // Add a node for an imported asset, following @import chains out of stylesheets
+  addAssetNode(filePath) {
+    const relativePath = path.relative(this.rootDir, filePath);
+    const ext = path.extname(filePath).toLowerCase();
+    const assetType = this.getAssetType(filePath);
+
+    this.fileTypes.add(ext);
+    this.nodeInfo[relativePath] = {
+      name: path.basename(filePath),
+      path: relativePath,
+      type: ext,
+      assetType,
+      size: fs.statSync(filePath).size,
+      package: this.getPackageName(filePath)
+    };
+    this.dependencies[relativePath] = [];
+    this.dependencyEdges[relativePath] = [];
+
+    if (assetType === 'stylesheet') {
+      this.processStylesheet(filePath);
+    }
+  }
+
+  // Follow CSS @import and Sass @use/@forward rules to the stylesheets they load
+  processStylesheet(filePath) {
+    const relativePath = path.relative(this.rootDir, filePath);
+
+    try {
+      // Blank out comments, keeping newlines so line numbers stay right
+      let content = fs.readFileSync(filePath, 'utf8')
+        .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+      if (path.extname(filePath).toLowerCase() !== '.css') {
+        // Sass and Less line comments (but not the // in url(http://...))
+        content = content.replace(/(^|[^:(])\/\/.*$/gm, '$1');
+      }
+
+      const ruleRegex = /@(import|use|forward)\s+([^;]+);?/g;
+      let match;
+      while ((match = ruleRegex.exec(content)) !== null) {
+        const [, rule, params] = match;
+        const line = content.slice(0, match.index).split('\n').length;
+
+        // @import 'a', 'b'; @import url("c.css") screen; @use 'd' as e;
+        const specifierRegex = /url\(\s*["']?([^"')]+)["']?\s*\)|["']([^"']+)["']/g;
+        let specifierMatch;
+        while ((specifierMatch = specifierRegex.exec(params)) !== null) {
+          const specifier = (specifierMatch[1] || specifierMatch[2]).trim();
+          this.addStylesheetImport(relativePath, filePath, specifier, {
+            moduleSystem: 'css',
+            kind: rule === 'import' ? 'css-import' : `sass-${rule}`,
+            line,
+            sideEffect: true
+          });
+          // @use and @forward load exactly one module
+          if (rule !== 'import') break;
+        }
+      }
+    } catch (error) {
+      this.addDiagnostic(relativePath, 'unreadable-file', { message: error.message });
+    }
+  }
+
+  // Resolve a stylesheet import: relative files (with Sass partials and index files) first,
+  // then packages ('~bootstrap/scss/grid', or 'bootstrap/scss/grid' outside plain CSS)
+  addStylesheetImport(relativePath, filePath, specifier, record) {
+    // Remote stylesheets, data URLs and Sass built-in modules (sass:math) have no node
+    if (/^([a-z]+:|\/\/)/i.test(specifier)) return;
+
+    const packageSpecifier = specifier.replace(/^~/, '');
+    if (!specifier.startsWith('~')) {
+      const resolvedPath = this.resolveStylesheetPath(path.resolve(path.dirname(filePath), specifier));
+      if (resolvedPath) {
+        this.addLocalDependency(relativePath, resolvedPath, { ...record, specifier });
+        return;
+      }
+      // In plain CSS every @import is a URL relative to the stylesheet, never a package name
+      const isCss = path.extname(filePath).toLowerCase() === '.css';
+      if (isCss || specifier.startsWith('.') || specifier.startsWith('/')) {
+        this.addMissingDependency(relativePath, path.resolve(path.dirname(filePath), specifier), { ...record, specifier });
+        return;
+      }
+    }
+
+    this.addLibraryDependency(relativePath, filePath, packageSpecifier, { ...record, specifier: packageSpecifier });
+  }
+
+  // Find the stylesheet a Sass/CSS import path refers to
+  resolveStylesheetPath(basePath) {
+    const dir = path.dirname(basePath);
+    const name = path.basename(basePath);
+    const candidates = [basePath];
+
+    ['.scss', '.sass', '.less', '.css'].forEach(ext => {
+      candidates.push(`${basePath}${ext}`, path.join(dir, `_${name}${ext}`));
+    });
+    ['_index.scss', 'index.scss', '_index.sass', 'index.sass', 'index.css'].forEach(index => {
+      candidates.push(path.join(basePath, index));
+    });
+
+    return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+  }
+
+  // Add a dependency on an external package or Node builtin module
+  addLibraryDependency(relativePath, filePath, importPath, record) {
+    // URL imports (https://cdn.example.com/pkg@1.0.0) are one node per URL, not a package name
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(importPath)) {
+      this.addUrlDependency(relativePath, importPath, record);
+      return;
+    }
+
+    const isBuiltin = this.isBuiltinModule(importPath);
+    const { name, subpath } = this.splitPackageSpecifier(importPath.replace(/^node:/, ''));
+    const libKey = `library:${name}`;
+
+    if (isBuiltin) {
+      this.builtins.add(name);
+    } else {
+      this.libraries.add(name);
+    }
+
+    if (!this.nodeInfo[libKey]) {
+      this.nodeInfo[libKey] = {
+        name,
+        path: libKey,
+        type: isBuiltin ? 'builtin' : 'library',
+        size: 50,
+        package: null, // External, not part of any workspace package
+        scope: name.startsWith('@') ? name.split('/')[0] : null, // npm scope, e.g. '@babel'
+      };
+    }
+
+    if (!isBuiltin) {
+      this.addLibraryVersions(this.nodeInfo[libKey], filePath);
+    }
+
+    const subpathRecord = subpath === '.' ? record : { ...record, subpath: subpath.slice(2) };
+    this.addDependency(relativePath, libKey, subpathRecord);
+  }
+
+  // Add a dependency on a module loaded from a URL, keyed by the full URL
+  addUrlDependency(relativePath, url, record) {
+    const urlKey = `library:${url}`;
+    this.libraries.add(url);
+
+    if (!this.nodeInfo[urlKey]) {
+      this.nodeInfo[urlKey] = {
+        name: url,
+        path: urlKey,
+        type: 'url',
+        size: 50,
+        package: null,
+        scope: null
+      };
+    }
+
+    this.addDependency(relativePath, urlKey, record);
+  }
+
+  // Check whether a specifier names a Node builtin module ('fs', 'fs/promises', 'node:test')
+  isBuiltinModule(importPath) {
+    if (importPath.startsWith('node:')) return true;
+    return builtinModules.includes(importPath) || builtinModules.includes(importPath.split('/')[0]);
+  }
+
+  // Record the declared version range and the locked version of a library
+  addLibraryVersions(libraryNode, filePath) {
+    const scope = this.getPackageScope(path.dirname(filePath));
+    if (!scope) return;
+
+    const json = scope.json;
+    const declared = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies']
+      .map(field => json[field] && json[field][libraryNode.name])
+      .find(Boolean);
+
+    // Different packages of a monorepo may declare different ranges
+    if (declared) {
+      const ranges = libraryNode.declaredVersion ? libraryNode.declaredVersion.split(', ') : [];
+      if (!ranges.includes(declared)) {
+        libraryNode.declaredVersion = [...ranges, declared].join(', ');
+      }
+    }
+
+    if (!libraryNode.resolvedVersion) {
+      const resolved = this.getLockedVersion(libraryNode.name, scope.dir);
+      if (resolved) libraryNode.resolvedVersion = resolved;
+    }
+  }
+
+  // Look up the installed version of a package in the nearest package-lock.json
+  getLockedVersion(name, packageDir) {
+    const lockfile = this.getLockfile(packageDir);
+    if (!lockfile) return null;
+
+    const { dir, json } = lockfile;
+
+    // lockfileVersion 2/3: "packages" keyed by install path, nested installs first
+    if (json.packages) {
+      const packagePrefix = path.relative(dir, packageDir).split(path.sep).join('/');
+      const keys = [`node_modules/${name}`];
+      if (packagePrefix) keys.unshift(`${packagePrefix}/node_modules/${name}`);
+
+      for (const key of keys) {
+        if (json.packages[key] && json.packages[key].version) return json.packages[key].version;
+      }
+    }
+
+    // lockfileVersion 1: nested "dependencies" objects
+    if (json.dependencies && json.dependencies[name]) {
+      return json.dependencies[name].version || null;
+    }
+
+    return null;
+  }
+
+  // Find and read the nearest package-lock.json for a directory (cached)
+  getLockfile(dir) {
+    if (this.lockfileCache.has(dir)) {
+      return this.lockfileCache.get(dir);
+    }
+
+    let lockfile = null;
+    const lockfilePath = path.join(dir, 'package-lock.json');
+
+    if (fs.existsSync(lockfilePath)) {
+      const json = this.readJsonFile(lockfilePath);
+      lockfile = json ? { dir, json } : null;
+    } else {
+      const parentDir = path.dirname(dir);
+      if (parentDir !== dir) {
+        lockfile = this.getLockfile(parentDir);
+      }
+    }
+
+    this.lockfileCache.set(dir, lockfile);
+    return lockfile;
+  }
+
+  // Add a dependency edge, keeping the flat dependencies array and edge metadata in sync
+  addDependency(relativePath, target, record) {
+    // Calls through imported bindings are resolved by their specifier later on
+    (this.importTargets[relativePath] = this.importTargets[relativePath] || {})[record.specifier] = target;
+
+    if (this.dependencies[relativePath].includes(target)) {
+      // Several statements for the same module share one edge
+      const existing = this.dependencyEdges[relativePath].find(edge => edge.target === target);
+      this.mergeEdgeRecord(existing, record);
+      return;
+    }
+
+    this.dependencies[relativePath].push(target);
+
+    const edge = {
+      target,
+      specifier: record.specifier,
+      moduleSystem: record.moduleSystem,
+      kind: record.kind,
+      line: record.line,
+      typeOnly: Boolean(record.typeOnly)
+    };
+    if (record.dynamic) {
+      edge.dynamic = true;
+      if (record.lazy) edge.lazy = true;
+    }
+    if (record.pattern || record.globs) edge.glob = record.specifier;
+    if (record.workerType) edge.workerType = record.workerType;
+    this.mergeEdgeRecord(edge, record);
+    this.dependencyEdges[relativePath].push(edge);
+  }
+
+  // Merge the imported symbols of a record (or another edge) into an existing edge
+  mergeEdgeRecord(edge, record) {
+    if (!edge) return;
+
+    if (record.specifiers) {
+      edge.specifiers = [...(edge.specifiers || []), ...record.specifiers];
+      if (record.specifiers.some(spec => spec.kind === 'namespace')) {
+        edge.namespace = true;
+      }
+    }
+    if (record.namespace) {
+      edge.namespace = true;
+    }
+    if (record.sideEffect) {
+      edge.sideEffect = true;
+    }
+    // Dynamic imports, globs without import: and plain require() calls can reach any
+    // export, whatever other statements behind the edge import by name
+    const named = record.specifiers && record.specifiers.length > 0;
+    if (record.wholeModule ||
+      (!named && !record.exportAll && !record.sideEffect && record.kind !== 'require-resolve')) {
+      edge.wholeModule = true;
+    }
+    // The edge is type-only only while every statement behind it is
+    edge.typeOnly = Boolean(edge.typeOnly && record.typeOnly);
+
+    // Likewise dynamic: a static import of the same module is no code-split boundary, and
+    // the edge takes that statement's kind and module system
+    if (edge.dynamic && !record.dynamic) {
+      edge.kind = record.kind;
+      edge.moduleSystem = record.moduleSystem;
+      delete edge.dynamic;
+      delete edge.lazy;
+    }
+
+    // The kinds and module systems of every statement behind the edge
+    edge.kinds = Array.from(new Set([...(edge.kinds || [edge.kind]), ...(record.kinds || [record.kind])].filter(Boolean)));
+    edge.moduleSystems = Array.from(new Set(
+      [...(edge.moduleSystems || [edge.moduleSystem]), ...(record.moduleSystems || [record.moduleSystem])].filter(Boolean)));
+
+    // Every source line that imports the target
+    const lines = [...(edge.lines || []), ...(record.lines || []), ...(record.line ? [record.line] : [])];
+    if (lines.length > 0) {
+      edge.lines = Array.from(new Set(lines)).sort((a, b) => a - b);
+    }
+
+    if (record.exportAll) {
+      edge.exportAll = true;
+    }
+    // Library subpaths ('fp' for 'lodash/fp') that share one package node
+    const subpaths = [...(edge.subpaths || []), ...(record.subpaths || []), ...(record.subpath ? [record.subpath] : [])];
+    if (subpaths.length > 0) {
+      edge.subpaths = Array.from(new Set(subpaths));
+    }
+  }
+
+  // Rewrite edges that point at barrel files so they point at the modules
+  // that actually define the imported symbols
+  collapseBarrels() {
+    Object.keys(this.dependencyEdges).forEach(consumer => {
+      const collapsed = [];
+
+      const addEdge = (edge) => {
+        const existing = collapsed.find(e => e.target === edge.target);
+        if (existing) {
+          this.mergeEdgeRecord(existing, edge);
+        } else {
+          collapsed.push(edge);
+        }
+      };
+
+      this.dependencyEdges[consumer].forEach(edge => {
+        // Re-export edges stay, so barrels keep their own connections
+        if (edge.kind === 'reexport' || !edge.specifiers || edge.specifiers.length === 0 ||
+          !this.isBarrel(edge.target)) {
+          addEdge(edge);
+          return;
+        }
+
+        const remaining = [];
+        const origins = {};
+
+        edge.specifiers.forEach(spec => {
+          const origin = spec.imported === '*' || spec.exported ? null :
+            this.findExportOrigin(edge.target, spec.imported);
+          if (origin && origin !== edge.target) {
+            (origins[origin] = origins[origin] || []).push(spec);
+          } else {
+            remaining.push(spec);
+          }
+        });
+
+        // Namespace imports and unresolved names still depend on the barrel
+        if (remaining.length > 0) {
+          addEdge({ ...edge, specifiers: remaining, namespace: remaining.some(spec => spec.kind === 'namespace') });
+        }
+
+        Object.keys(origins).forEach(origin => {
+          addEdge({ ...edge, target: origin, specifiers: origins[origin], namespace: false, via: edge.target });
+        });
+      });
+
+      this.dependencyEdges[consumer] = collapsed;
+      this.dependencies[consumer] = collapsed.map(edge => edge.target);
+    });
+  }
+
+  // Get the local files a module re-exports from
+  getReexportEdges(file) {
+    return (this.dependencyEdges[file] || []).filter(edge =>
+      this.isFileNode(edge.target) &&
+      (edge.exportAll || (edge.specifiers || []).some(spec => spec.exported)));
+  }
+
+  // A barrel is a file that re-exports other local modules
+  isBarrel(file) {
+    return this.getReexportEdges(file).length > 0;
+  }
+
+  // Cross-reference every file's exports with the symbols its consumers import
+  findUnusedExports() {
+    const used = {}; // file -> Set of export names something imports
+    const fullyUsed = new Set(); // Files whose whole namespace is imported
+
+    const markAllUsed = (file) => {
+      if (fullyUsed.has(file)) return;
+      fullyUsed.add(file);
+
+      // Everything a barrel forwards is reachable through its namespace
+      this.getReexportEdges(file).forEach(edge => {
+        if (edge.exportAll) markAllUsed(edge.target);
+        (edge.specifiers || []).filter(spec => spec.exported).forEach(spec => {
+          if (spec.imported === '*') {
+            markAllUsed(edge.target);
+          } else {
+            markUsed(edge.target, spec.imported);
+          }
+        });
+      });
+    };
+
+    const markUsed = (file, name, visited = new Set()) => {
+      // The default import of a CommonJS module is module.exports, members and all
+      if (name === 'default' && this.fileExports[file] && this.fileExports[file].commonjs) {
+        markAllUsed(file);
+        return;
+      }
+
+      const key = `${file}\0${name}`;
+      if (visited.has(key)) return;
+      visited.add(key);
+
+      if (!used[file]) used[file] = new Set();
+      used[file].add(name);
+
+      // Follow re-exports to the module that defines the name
+      if (!this.fileExports[file] || this.fileExports[file].names.includes(name)) return;
+
+      const reexports = this.getReexportEdges(file);
+      for (const edge of reexports) {
+        const spec = (edge.specifiers || []).find(s => s.exported === name);
+        if (spec) {
+          if (spec.imported === '*') {
+            markAllUsed(edge.target);
+          } else {
+            markUsed(edge.target, spec.imported, visited);
+          }
+          return;
+        }
+      }
+
+      if (name === 'default') return;
+      reexports.filter(edge => edge.exportAll).forEach(edge => {
+        if (this.findExportOrigin(edge.target, name)) markUsed(edge.target, name, visited);
+      });
+    };
+
+    // Entry points are the public surface, so everything they export counts as used
+    if (this.reachability) {
+      this.reachability.entryPoints.forEach(markAllUsed);
+    }
+
+    Object.keys(this.dependencyEdges).forEach(consumer => {
+      this.dependencyEdges[consumer].forEach(edge => {
+        if (!this.fileExports[edge.target]) return;
+
+        if (edge.wholeModule) {
+          markAllUsed(edge.target);
+          return;
+        }
+
+        // Re-export specifiers only count once something imports them from the barrel
+        const imports = (edge.specifiers || []).filter(spec => !spec.exported);
+
+        imports.forEach(spec => {
+          if (spec.imported === '*') {
+            markAllUsed(edge.target);
+          } else {
+            markUsed(edge.target, spec.imported);
+          }
+        });
+      });
+    });
+
+    const unusedExports = {};
+    Object.keys(this.fileExports).forEach(file => {
+      if (fullyUsed.has(file)) return;
+
+      const unused = this.fileExports[file].entries
+        .filter(entry => entry.kind !== 'reexport-all' && !(used[file] && used[file].has(entry.name)))
+        .map(entry => entry.name);
+
+      if (unused.length > 0) {
+        unusedExports[file] = Array.from(new Set(unused));
+      }
+    });
+
+    return unusedExports;
+  }
+
+  // Follow re-exports to find the file that defines an exported name
+  findExportOrigin(file, name) {
+    const definition = this.findExportDefinition(file, name);
+    return definition ? definition.file : null;
+  }
+
+  // Find the module that defines an export and the name it has there, following
+  // re-exports (export { a as name } from './x', export * from './x'). A name of '*'
+  // means the export is that whole module (export * as name from './x')
+  findExportDefinition(file, name, visited = new Set()) {
+    if (visited.has(file) || !this.fileExports[file]) return null;
+    visited.add(file);
+
+    if (this.fileExports[file].names.includes(name)) return { file, name };
+
+    const reexports = this.getReexportEdges(file);
+
+    // Explicit re-exports: export { a as name } from './x'
+    for (const edge of reexports) {
+      const spec = (edge.specifiers || []).find(s => s.exported === name);
+      if (spec) {
+        return spec.imported === '*'
+          ? { file: edge.target, name: '*' }
+          : this.findExportDefinition(edge.target, spec.imported, visited);
+      }
+    }
+
+    // Star re-exports never forward the default export
+    if (name === 'default') return null;
+
+    for (const edge of reexports) {
+      if (edge.exportAll) {
+        const definition = this.findExportDefinition(edge.target, name, new Set(visited));
+        if (definition) return definition;
+      }
+    }
+
+    return null;
+  }
+
+
+  // Walk the dependency graph from the entry points and group the files it never reaches
+  findUnreachableFiles() {
+    const configured = this.options.entryPoints.length > 0;
+    const entryPoints = configured ? this.findConfiguredEntryPoints() : this.inferEntryPoints();
+    const workerEntries = this.markWorkerEntries();
+    const files = Object.keys(this.nodeInfo).filter(id => this.isFileNode(id));
+
+    // Without an entry point every file would be "dead", which says nothing useful
+    if (entryPoints.length === 0) {
+      return { entryPoints, workerEntries, inferred: !configured, unreachableFiles: [], clusters: [] };
+    }
+
+    // Workers run in a context of their own, so each worker entry is a root too
+    const reached = new Set();
+    const queue = [...entryPoints, ...workerEntries];
+    while (queue.length > 0) {
+      const file = queue.shift();
+      if (reached.has(file)) continue;
+      reached.add(file);
+
+      (this.dependencies[file] || []).forEach(target => {
+        if (this.isFileNode(target) && !reached.has(target)) queue.push(target);
+      });
+    }
+
+    entryPoints.forEach(file => {
+      this.nodeInfo[file].entryPoint = true;
+    });
+
+    const unreachableFiles = files.filter(file => !reached.has(file)).sort();
+    unreachableFiles.forEach(file => {
+      this.nodeInfo[file].unreachable = true;
+    });
+
+    return {
+      entryPoints,
+      workerEntries,
+      inferred: !configured,
+      unreachableFiles,
+      clusters: this.groupConnectedFiles(unreachableFiles)
+    };
+  }
+
+  // Flag the files started as web, shared or service workers in nodeInfo
+  markWorkerEntries() {
+    const workerEntries = new Set();
+
+    Object.keys(this.dependencyEdges).forEach(source => {
+      this.dependencyEdges[source].forEach(edge => {
+        if (edge.kind !== 'worker' || !this.nodeInfo[edge.target]) return;
+        this.nodeInfo[edge.target].workerEntry = edge.workerType;
+        workerEntries.add(edge.target);
+      });
+    });
+
+    return Array.from(workerEntries).sort();
+  }
+
+  // Match the configured entry points against the analyzed files
+  findConfiguredEntryPoints() {
+    const files = Object.keys(this.nodeInfo).filter(id => this.isFileNode(id));
+    const entryPoints = new Set();
+
+    this.options.entryPoints.forEach(entry => {
+      const normalized = entry.split(path.sep).join('/');
+
+      if (/[*?]/.test(normalized)) {
+        const regex = this.globToRegExp(normalized);
+        files.filter(file => regex.test(file.split(path.sep).join('/'))).forEach(file => entryPoints.add(file));
+        return;
+      }
+
+      // Plain paths may leave out the extension or point at a directory with an index file
+      const resolvedPath = this.resolveLocalImport(path.resolve(this.rootDir, entry), this.rootDir);
+      const relativePath = resolvedPath && path.relative(this.rootDir, resolvedPath);
+      if (relativePath && this.nodeInfo[relativePath]) {
+        entryPoints.add(relativePath);
+      } else {
+        console.warn(`Entry point not found: ${entry}`);
+      }
+    });
+
+    return Array.from(entryPoints).sort();
+  }
+
+  // Infer entry points from the project's and workspace packages' manifests and HTML pages
+  inferEntryPoints() {
+    const entryPoints = new Set();
+    const conditions = this.options.conditions.concat('default');
+
+    const addEntry = (resolvedPath) => {
+      if (!resolvedPath) return;
+      const relativePath = path.relative(this.rootDir, resolvedPath);
+      if (this.nodeInfo[relativePath]) entryPoints.add(relativePath);
+    };
+
+    const addLocalFile = (dir, target) => {
+      if (typeof target !== 'string' || /^[a-z]+:/i.test(target)) return;
+      // Root-relative script URLs resolve against the page's own directory
+      const resolvedPath = this.resolveLocalImport(path.join(dir, target.replace(/^\//, '')), dir);
+      addEntry(resolvedPath);
+    };
+
+    const rootJson = this.readJsonFile(path.join(this.rootDir, 'package.json'), true);
+    const scopes = Object.values(this.workspacePackages);
+    if (rootJson) scopes.unshift({ dir: this.rootDir, json: rootJson });
+
+    scopes.forEach(scope => {
+      const { json } = scope;
+
+      addEntry(this.resolvePackageEntry(scope, '.', conditions));
+      [json.main, json.module, json.source, typeof json.browser === 'string' ? json.browser : null]
+        .forEach(field => addLocalFile(scope.dir, field));
+
+      const bin = typeof json.bin === 'string' ? [json.bin] : Object.values(json.bin || {});
+      bin.forEach(target => addLocalFile(scope.dir, target));
+
+      // Every concrete "exports" subpath is public; patterns ('./*') cover too much to guess
+      if (json.exports !== undefined) {
+        Object.keys(this.normalizeExports(json.exports))
+          .filter(subpath => subpath.startsWith('.') && !subpath.includes('*'))
+          .forEach(subpath => addEntry(this.resolvePackageEntry(scope, subpath, conditions)));
+      }
+
+      // Scripts loaded by the app's HTML pages
+      ['.', 'public', 'src'].forEach(dir => {
+        const htmlPath = path.join(scope.dir, dir, 'index.html');
+        if (!fs.existsSync(htmlPath)) return;
+
+        const html = fs.readFileSync(htmlPath, 'utf8');
+        const scriptRegex = /<script\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi;
+        let match;
+        while ((match = scriptRegex.exec(html)) !== null) {
+          addLocalFile(path.dirname(htmlPath), match[1].split(/[?#]/)[0]);
+        }
+      });
+    });
+
+    return Array.from(entryPoints).sort();
+  }
+
+  // Split files into groups connected by dependencies among themselves (either direction)
+  groupConnectedFiles(files) {
+    const fileSet = new Set(files);
+    const neighbors = {};
+    files.forEach(file => {
+      neighbors[file] = neighbors[file] || new Set();
+      (this.dependencies[file] || []).filter(target => fileSet.has(target)).forEach(target => {
+        neighbors[file].add(target);
+        (neighbors[target] = neighbors[target] || new Set()).add(file);
+      });
+    });
+
+    const visited = new Set();
+    const clusters = [];
+    files.forEach(file => {
+      if (visited.has(file)) return;
+
+      const cluster = [];
+      const stack = [file];
+      visited.add(file);
+      while (stack.length > 0) {
+        const current = stack.pop();
+        cluster.push(current);
+        neighbors[current].forEach(next => {
+          if (!visited.has(next)) {
+            visited.add(next);
+            stack.push(next);
+          }
+        });
+      }
+      clusters.push(cluster.sort());
+    });
+
+    // Largest clusters first: those are whole dead features rather than stray files
+    return clusters.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+  }
+
+  resolveLocalImport(importPath, currentFilePath) {
+    const currentDir = path.dirname(currentFilePath);
+    let resolvedPath = path.resolve(currentDir, importPath);
+    const extensions = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts', '.d.ts', '.vue', '.svelte', '.json'];
+    const isFile = candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile();
+
+    // Check if the import exists directly
+    if (isFile(resolvedPath)) {
+      return resolvedPath;
+    }
+
+    // TypeScript sources import each other by their output names ('./util.js' -> './util.ts')
+    const sourceExtensions = {
+      '.js': ['.ts', '.tsx', '.d.ts'],
+      '.jsx': ['.tsx'],
+      '.mjs': ['.mts', '.d.mts'],
+      '.cjs': ['.cts', '.d.cts']
+    }[path.extname(resolvedPath)] || [];
+
+    const withoutExt = resolvedPath.slice(0, -path.extname(resolvedPath).length);
+    for (const ext of sourceExtensions) {
+      if (isFile(`${withoutExt}${ext}`)) {
+        return `${withoutExt}${ext}`;
+      }
+    }
+
+    // Try adding extensions
+    for (const ext of extensions) {
+      const pathWithExt = `${resolvedPath}${ext}`;
+      if (isFile(pathWithExt)) {
+        return pathWithExt;
+      }
+    }
+
+    // Try index files; a directory without one doesn't resolve
+    for (const ext of extensions) {
+      const indexFile = path.join(resolvedPath, `index${ext}`);
+      if (isFile(indexFile)) {
+        return indexFile;
+      }
+    }
+
+    return null;
+  }
+
+  // Expand a partially dynamic specifier into the list of candidate files it can load
+  resolveImportPattern(pieces, currentFilePath) {
+    const currentDir = path.dirname(currentFilePath);
+    const prefix = pieces[0];
+
+    // The directory part of the static prefix is where candidates are searched
+    const baseDir = path.resolve(currentDir, prefix.slice(0, prefix.lastIndexOf('/') + 1));
+    if (!fs.existsSync(baseDir) || !fs.statSync(baseDir).isDirectory()) return [];
+
+    // Match absolute candidate paths: static pieces in order, anything in between
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const absolutePrefix = path.resolve(currentDir, prefix) + (prefix.endsWith('/') ? path.sep : '');
+    const staticPieces = [absolutePrefix, ...pieces.slice(1).map(piece => piece.split('/').join(path.sep))];
+    const matcher = new RegExp(`^${staticPieces.map(escape).join('.+')}$`);
+
+    const candidates = [];
+    const walk = (dir) => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (entry.name !== 'node_modules') walk(fullPath);
+        } else if (this.isJsOrTsFile(entry.name) && fullPath !== currentFilePath) {
+          // A suffix without an extension may still be followed by one
+          const withoutExt = fullPath.slice(0, -path.extname(fullPath).length);
+          if (matcher.test(fullPath) || matcher.test(withoutExt)) {
+            candidates.push(fullPath);
+          }
+        }
+      });
+    };
+    walk(baseDir);
+
+    return candidates.sort();
+  }
+
+  // Expand import.meta.glob patterns. './' and '../' are relative to the importing file,
+  // '/' to the project root, and '!' patterns exclude matches
+  resolveGlobPatterns(globs, currentFilePath) {
+    const toPosix = filePath => filePath.split(path.sep).join('/');
+    const absolute = glob => toPosix(glob.startsWith('/')
+      ? path.join(this.rootDir, glob)
+      : path.resolve(path.dirname(currentFilePath), glob));
+
+    const include = globs.filter(glob => !glob.startsWith('!')).map(absolute);
+    const exclude = globs.filter(glob => glob.startsWith('!')).map(glob => this.globToRegExp(absolute(glob.slice(1))));
+
+    const matches = new Set();
+    include.forEach(pattern => {
+      const regex = this.globToRegExp(pattern);
+
+      // Only walk the directory below the pattern's static prefix
+      const staticPrefix = pattern.slice(0, pattern.search(/[*?[{]|$/));
+      const baseDir = staticPrefix.slice(0, staticPrefix.lastIndexOf('/') + 1) || '/';
+      if (!fs.existsSync(baseDir) || !fs.statSync(baseDir).isDirectory()) return;
+
+      const walk = (dir) => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+          const fullPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            if (entry.name !== 'node_modules' && entry.name !== '.git') walk(fullPath);
+          } else if (fullPath !== currentFilePath && regex.test(toPosix(fullPath)) &&
+            !exclude.some(excluded => excluded.test(toPosix(fullPath)))) {
+            matches.add(fullPath);
+          }
+        });
+      };
+      walk(baseDir);
+    });
+
+    return Array.from(matches).sort();
+  }
+
+  // Resolve a bare specifier through the nearest tsconfig/jsconfig "paths" and "baseUrl"
+  // Returns the resolved file (or null) and whether any "paths" pattern matched
+  resolveAliasedImport(importPath, currentFilePath) {
+    const config = this.getCompilerConfig(path.dirname(currentFilePath));
+    const result = { resolvedPath: null, matched: false };
+    if (!config) return result;
+
+    // Paths are relative to baseUrl when set, otherwise to the config that declares them
+    const pathsBase = config.baseUrl || config.pathsBase;
+
+    if (config.paths && pathsBase) {
+      for (const { pattern, targets } of this.getSortedPathPatterns(config.paths)) {
+        const wildcard = this.matchPathPattern(pattern, importPath);
+        if (wildcard === null) continue;
+
+        result.matched = true;
+        for (const target of targets) {
+          const candidate = path.resolve(pathsBase, target.replace('*', wildcard));
+          const resolvedPath = this.resolveLocalImport(candidate, currentFilePath);
+          if (resolvedPath) {
+            result.resolvedPath = resolvedPath;
+            return result;
+          }
+        }
+      }
+    }
+
+    if (config.baseUrl) {
+      result.resolvedPath = this.resolveLocalImport(path.resolve(config.baseUrl, importPath), currentFilePath);
+    }
+
+    return result;
+  }
+
+  // Order "paths" patterns the way TypeScript does: exact matches, then longest prefix first
+  getSortedPathPatterns(paths) {
+    return Object.keys(paths)
+      .map(pattern => ({ pattern, targets: [].concat(paths[pattern]) }))
+      .sort((a, b) => {
+        const aWild = a.pattern.includes('*');
+        const bWild = b.pattern.includes('*');
+        if (aWild !== bWild) return aWild ? 1 : -1;
+        return b.pattern.indexOf('*') - a.pattern.indexOf('*');
+      });
+  }
+
+  // Match a specifier against a "paths" pattern, returning the text matched by '*'
+  matchPathPattern(pattern, importPath) {
+    const starIndex = pattern.indexOf('*');
+    if (starIndex === -1) return pattern === importPath ? '' : null;
+
+    const prefix = pattern.slice(0, starIndex);
+    const suffix = pattern.slice(starIndex + 1);
+    if (importPath.length < prefix.length + suffix.length ||
+      !importPath.startsWith(prefix) || !importPath.endsWith(suffix)) {
+      return null;
+    }
+    return importPath.slice(prefix.length, importPath.length - suffix.length);
+  }
+
+  // Specifiers like '@/x', '~/x' and '#x' cannot be npm packages, so they must be aliases
+  looksLikeAlias(importPath) {
+    return importPath.startsWith('@/') || importPath.startsWith('~') || importPath.startsWith('#');
+  }
+
+  // Resolve '#internal' specifiers and package self-references with Node's subpath rules
+  // Returns { resolvedPath } for local files, { specifier } for external packages,
+  // { unresolved: true } for self-references that match nothing, or null
+  resolvePackageSpecifier(importPath, currentFilePath, record) {
+    const scope = this.getPackageScope(path.dirname(currentFilePath));
+    if (!scope) return null;
+
+    const conditions = this.getConditions(record);
+
+    // "imports": { "#db/*": "./src/db/*.js" }
+    if (importPath.startsWith('#')) {
+      if (!scope.json.imports) return null;
+      return this.resolvePackageMap(scope.json.imports, importPath, scope.dir, conditions, true);
+    }
+
+    // Self-reference: a package importing itself by name
+    const name = scope.json.name;
+    if (!name || (importPath !== name && !importPath.startsWith(`${name}/`))) return null;
+
+    // A self-reference that resolves to nothing is reported, never treated as a library
+    const resolvedPath = this.resolvePackageEntry(scope, `.${importPath.slice(name.length)}`, conditions);
+    return resolvedPath ? { resolvedPath } : { unresolved: true };
+  }
+
+  // Resolve a subpath ('.' or './x') of a local package to a source file
+  resolvePackageEntry(scope, subpath, conditions) {
+    if (scope.json.exports !== undefined) {
+      const resolved = this.resolvePackageMap(this.normalizeExports(scope.json.exports), subpath, scope.dir, conditions, false);
+      if (resolved && resolved.resolvedPath) return resolved.resolvedPath;
+    }
+
+    // Without a usable "exports" target (e.g. it points at an unbuilt dist/), try the
+    // source-oriented entry fields, then the conventional entry files
+    const candidates = subpath === '.'
+      ? [scope.json.source, scope.json.module, scope.json.main, './src/index', './index'].filter(Boolean)
+      : [subpath, `./src/${subpath.slice(2)}`];
+
+    for (const candidate of candidates) {
+      const resolvedPath = this.resolveLocalImport(path.resolve(scope.dir, candidate), scope.dir);
+      if (resolvedPath && fs.statSync(resolvedPath).isFile()) return resolvedPath;
+    }
+    return null;
+  }
+
+  // Split a bare specifier into its package name and subpath ('@a/b/c' -> '@a/b' + './c')
+  splitPackageSpecifier(importPath) {
+    const parts = importPath.split('/');
+    const nameLength = importPath.startsWith('@') ? 2 : 1;
+    const rest = parts.slice(nameLength).join('/');
+    return {
+      name: parts.slice(0, nameLength).join('/'),
+      subpath: rest ? `./${rest}` : '.'
+    };
+  }
+
+  // Resolve an import of another package in the same workspace to its local entry file
+  resolveWorkspaceImport(importPath, currentFilePath, record) {
+    const { name, subpath } = this.splitPackageSpecifier(importPath);
+    const workspace = this.workspacePackages[name];
+    if (!workspace) return null;
+
+    return this.resolvePackageEntry(workspace, subpath, this.getConditions(record));
+  }
+
+  // Get the name of the package (nearest package.json) that contains a file
+  getPackageName(filePath) {
+    const scope = this.getPackageScope(path.dirname(filePath));
+    return (scope && scope.json.name) || null;
+  }
+
+  // Discover npm/yarn/pnpm workspace packages under the project root
+  loadWorkspaces() {
+    const patterns = [];
+
+    // npm and yarn: "workspaces": [...] or "workspaces": { "packages": [...] }
+    const rootPackage = this.readJsonFile(path.join(this.rootDir, 'package.json'), true);
+    if (rootPackage && rootPackage.workspaces) {
+      const workspaces = rootPackage.workspaces;
+      patterns.push(...(Array.isArray(workspaces) ? workspaces : workspaces.packages || []));
+    }
+
+    // pnpm: pnpm-workspace.yaml
+    const pnpmWorkspacePath = path.join(this.rootDir, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpmWorkspacePath)) {
+      patterns.push(...this.readPnpmWorkspacePatterns(pnpmWorkspacePath));
+    }
+
+    if (patterns.length === 0) return;
+
+    const include = patterns.filter(p => !p.startsWith('!')).map(p => this.globToRegExp(p));
+    const exclude = patterns.filter(p => p.startsWith('!')).map(p => this.globToRegExp(p.slice(1)));
+
+    const walk = (dir) => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) return;
+
+        const fullPath = path.join(dir, entry.name);
+        const relativeDir = path.relative(this.rootDir, fullPath).split(path.sep).join('/');
+        const packageJsonPath = path.join(fullPath, 'package.json');
+
+        if (include.some(regex => regex.test(relativeDir)) && !exclude.some(regex => regex.test(relativeDir)) &&
+          fs.existsSync(packageJsonPath)) {
+          const json = this.readJsonFile(packageJsonPath);
+          if (json && json.name) {
+            this.workspacePackages[json.name] = { dir: fullPath, json };
+          }
+        }
+
+        walk(fullPath);
+      });
+    };
+
+    try {
+      walk(this.rootDir);
+    } catch (error) {
+      console.error('Error discovering workspace packages:', error);
+    }
+  }
+
+  // Read the "packages" list from a pnpm-workspace.yaml file
+  readPnpmWorkspacePatterns(filePath) {
+    const patterns = [];
+    let inPackages = false;
+
+    fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach(line => {
+      const content = line.replace(/#.*$/, '').trimEnd();
+      if (!content.trim()) return;
+
+      if (/^\S/.test(content)) {
+        // A new top-level key; inline lists are also allowed: packages: ['a/*']
+        inPackages = content.startsWith('packages:');
+        const inline = content.match(/^packages:\s*\[(.*)\]/);
+        if (inline) {
+          inline[1].split(',').forEach(item => {
+            const value = item.trim().replace(/^['"]|['"]$/g, '');
+            if (value) patterns.push(value);
+          });
+          inPackages = false;
+        }
+        return;
+      }
+
+      const item = content.match(/^\s*-\s*(.+)$/);
+      if (inPackages && item) {
+        patterns.push(item[1].trim().replace(/^['"]|['"]$/g, ''));
+      }
+    });
+
+    return patterns;
+  }
+
+  // Convert a glob ('packages/*', 'apps/**', 'src/?.js') into an anchored regular expression
+  globToRegExp(glob) {
+    let pattern = '';
+    const normalized = glob.replace(/^\.\//, '').replace(/\/$/, '');
+
+    for (let i = 0; i < normalized.length; i++) {
+      const char = normalized[i];
+
+      if (char === '*' && normalized[i + 1] === '*') {
+        // '**/' matches zero or more directories, a trailing '**' matches anything
+        if (normalized[i + 2] === '/') {
+          pattern += '(?:.*/)?';
+          i += 2;
+        } else {
+          pattern += '.*';
+          i++;
+        }
+      } else if (char === '*') {
+        pattern += '[^/]*';
+      } else if (char === '?') {
+        pattern += '[^/]';
+      } else if (char === '{' && normalized.indexOf('}', i) !== -1) {
+        // Alternatives: *.{js,ts}
+        const end = normalized.indexOf('}', i);
+        const alternatives = normalized.slice(i + 1, end).split(',')
+          .map(alternative => this.globToRegExp(alternative).source.slice(1, -1));
+        pattern += `(?:${alternatives.join('|')})`;
+        i = end;
+      } else if (char === '[' && normalized.indexOf(']', i + 2) !== -1) {
+        // Character classes: [abc], [a-z], [!abc]
+        const end = normalized.indexOf(']', i + 2);
+        const chars = normalized.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        pattern += `[${chars}]`;
+        i = end;
+      } else {
+        pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${pattern}$`);
+  }
+
+  // Get the active package conditions for an import record
+  getConditions(record) {
+    return this.options.conditions.filter(condition => {
+      if (condition === 'import') return record.moduleSystem !== 'cjs';
+      if (condition === 'require') return record.moduleSystem === 'cjs';
+      return true;
+    }).concat('default');
+  }
+
+  // "exports" may be a target, an array or a conditions object instead of a subpath map
+  normalizeExports(exportsField) {
+    if (typeof exportsField === 'string' || Array.isArray(exportsField) ||
+      (exportsField && !Object.keys(exportsField).some(key => key.startsWith('.')))) {
+      return { '.': exportsField };
+    }
+    return exportsField || {};
+  }
+
+  // Match a subpath against an "exports" or "imports" map and resolve the target
+  resolvePackageMap(map, subpath, packageDir, conditions, isImports) {
+    if (Object.prototype.hasOwnProperty.call(map, subpath) && !subpath.includes('*')) {
+      return this.resolvePackageTarget(map[subpath], '', packageDir, conditions, isImports);
+    }
+
+    // Pattern keys ("./features/*") and legacy folder keys ("./lib/"); longest prefix wins
+    let bestKey = null;
+    let bestMatch = null;
+    Object.keys(map).forEach(key => {
+      const starIndex = key.indexOf('*');
+      let match = null;
+
+      if (starIndex !== -1) {
+        const prefix = key.slice(0, starIndex);
+        const suffix = key.slice(starIndex + 1);
+        if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length) {
+          match = subpath.slice(prefix.length, subpath.length - suffix.length);
+        }
+      } else if (key.endsWith('/') && subpath.startsWith(key)) {
+        match = subpath.slice(key.length);
+      }
+
+      if (match !== null && (bestKey === null || key.length > bestKey.length)) {
+        bestKey = key;
+        bestMatch = match;
+      }
+    });
+
+    if (bestKey === null) return null;
+
+    const target = map[bestKey];
+    if (bestKey.endsWith('/') && typeof target === 'string') {
+      return this.resolvePackageTarget(`${target}*`, bestMatch, packageDir, conditions, isImports);
+    }
+    return this.resolvePackageTarget(target, bestMatch, packageDir, conditions, isImports);
+  }
+
+  // Resolve a package target: a path, an array of fallbacks, or a conditions object
+  resolvePackageTarget(target, patternMatch, packageDir, conditions, isImports) {
+    if (typeof target === 'string') {
+      const substituted = target.split('*').join(patternMatch);
+
+      if (!substituted.startsWith('./')) {
+        // Only "imports" may map to another package
+        return isImports && !substituted.startsWith('/') && !substituted.startsWith('../')
+          ? { specifier: substituted }
+          : null;
+      }
+
+      const resolvedPath = this.resolveLocalImport(path.resolve(packageDir, substituted), packageDir);
+      return resolvedPath ? { resolvedPath } : null;
+    }
+
+    if (Array.isArray(target)) {
+      for (const fallback of target) {
+        const resolved = this.resolvePackageTarget(fallback, patternMatch, packageDir, conditions, isImports);
+        if (resolved) return resolved;
+      }
+      return null;
+    }
+
+    // Conditions are tried in the order the package lists them
+    if (target && typeof target === 'object') {
+      for (const condition of Object.keys(target)) {
+        if (!conditions.includes(condition)) continue;
+        const resolved = this.resolvePackageTarget(target[condition], patternMatch, packageDir, conditions, isImports);
+        if (resolved) return resolved;
+      }
+    }
 
-  async analyze() {
-    console.log('Starting dependency analysis...');
-    await this.processDirectory(this.rootDir);
-    return {
-      dependencies: this.dependencies,
-      nodeInfo: this.nodeInfo,
-      libraries: Array.from(this.libraries),
-      fileTypes: Array.from(this.fileTypes),
-      methodInfo: this.methodInfo,          // New: method info
-      methodDependencies: this.methodDependencies // New: method dependencies
-    };
+    // null targets explicitly exclude a subpath
+    return null;
   }
 
-  async processDirectory(dirPath) {
-    try {
-      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  // Find and read the nearest package.json for a directory (cached)
+  getPackageScope(dir) {
+    if (this.packageScopeCache.has(dir)) {
+      return this.packageScopeCache.get(dir);
+    }
 
-      for (const entry of entries) {
-        const fullPath = path.join(dirPath, entry.name);
+    let scope = null;
+    const packageJsonPath = path.join(dir, 'package.json');
 
-        if (entry.isDirectory()) {
-          // Ignore node_modules and dist directories
-          if (entry.name !== 'node_modules' && entry.name !== 'dist') {
-            await this.processDirectory(fullPath);
-          }
-        } else if (this.isJsOrTsFile(entry.name)) {
-          await this.processFile(fullPath);
-        }
+    if (fs.existsSync(packageJsonPath)) {
+      const json = this.readJsonFile(packageJsonPath);
+      scope = json ? { dir, json } : null;
+    } else {
+      // Package scopes may start above the analyzed directory
+      const parentDir = path.dirname(dir);
+      if (parentDir !== dir) {
+        scope = this.getPackageScope(parentDir);
       }
-    } catch (error) {
-      console.error(`Error processing directory ${dirPath}:`, error);
     }
-  }
 
-  isJsOrTsFile(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    return ['.js', '.jsx', '.ts', '.tsx'].includes(ext);
+    this.packageScopeCache.set(dir, scope);
+    return scope;
   }
 
-  async processFile(filePath) {
-    try {
-      const relativePath = path.relative(this.rootDir, filePath);
-      const fileContent = fs.readFileSync(filePath, 'utf8');
-      const fileExt = path.extname(filePath).toLowerCase();
+  // Find and load the nearest tsconfig.json/jsconfig.json for a directory (cached)
+  getCompilerConfig(dir) {
+    if (this.compilerConfigCache.has(dir)) {
+      return this.compilerConfigCache.get(dir);
+    }
 
-      this.fileTypes.add(fileExt);
+    let config = null;
+    const configPath = ['tsconfig.json', 'jsconfig.json']
+      .map(name => path.join(dir, name))
+      .find(candidate => fs.existsSync(candidate));
 
-      // Initialize node info
-      if (!this.nodeInfo[relativePath]) {
-        this.nodeInfo[relativePath] = {
-          name: path.basename(filePath),
-          path: relativePath,
-          type: fileExt,
-          size: fileContent.length,
-        };
+    if (configPath) {
+      config = this.loadCompilerConfig(configPath);
+    } else {
+      // Keep searching upwards, but not past the project root
+      const parentDir = path.dirname(dir);
+      const relativeToRoot = path.relative(this.rootDir, dir);
+      if (parentDir !== dir && relativeToRoot && !relativeToRoot.startsWith('..')) {
+        config = this.getCompilerConfig(parentDir);
       }
+    }
 
-      // Initialize dependencies array for this file
-      if (!this.dependencies[relativePath]) {
-        this.dependencies[relativePath] = [];
+    this.compilerConfigCache.set(dir, config);
+    return config;
+  }
+
+  // Load compiler options from a config file, following its "extends" chain
+  loadCompilerConfig(configPath, seen = new Set()) {
+    if (seen.has(configPath)) return {};
+    seen.add(configPath);
+
+    const json = this.readJsonFile(configPath);
+    if (!json) return {};
+
+    const configDir = path.dirname(configPath);
+    let config = {};
+
+    // "extends" may be a single config or (TypeScript 5+) an array applied in order
+    [].concat(json.extends || []).forEach(extended => {
+      const extendedPath = this.resolveExtendedConfig(extended, configDir);
+      if (extendedPath) {
+        config = { ...config, ...this.loadCompilerConfig(extendedPath, seen) };
       }
+    });
 
-      // Parse the file to extract imports
-      try {
-        const ast = parser.parse(fileContent, {
-          sourceType: 'module',
-          plugins: ['typescript', 'jsx'],
-        });
+    const compilerOptions = json.compilerOptions || {};
+    if (compilerOptions.baseUrl !== undefined) {
+      config.baseUrl = path.resolve(configDir, compilerOptions.baseUrl);
+    }
+    if (compilerOptions.paths) {
+      config.paths = compilerOptions.paths;
+      config.pathsBase = configDir;
+    }
 
-        traverse(ast, {
-          ImportDeclaration: ({ node }) => {
-            const importPath = node.source.value;
-
-            // Check if it's a library import or local file
-            if (importPath.startsWith('.') || importPath.startsWith('/')) {
-              let resolvedPath = this.resolveLocalImport(importPath, filePath);
-              if (resolvedPath) {
-                const relativeResolved = path.relative(this.rootDir, resolvedPath);
-                if (!this.dependencies[relativePath].includes(relativeResolved)) {
-                  this.dependencies[relativePath].push(relativeResolved);
-                }
-              }
-            } else {
-              // It's a library
-              this.libraries.add(importPath);
-              const libKey = `library:${importPath}`;
-              if (!this.nodeInfo[libKey]) {
-                this.nodeInfo[libKey] = {
-                  name: importPath,
-                  path: libKey,
-                  type: 'library',
-                  size: 50,
-                };
-              }
-              if (!this.dependencies[relativePath].includes(libKey)) {
-                this.dependencies[relativePath].push(libKey);
-              }
-            }
-          }
-        });
-        await this.extractMethodInfo(filePath, fileContent, ast);
-      } catch (parseError) {
-        console.warn(`Error parsing file ${filePath}:`, parseError.message);
+    return config;
+  }
+
+  // Resolve the target of an "extends" entry to a config file path
+  resolveExtendedConfig(extended, configDir) {
+    if (extended.startsWith('.') || path.isAbsolute(extended)) {
+      const candidate = path.resolve(configDir, extended);
+      return [candidate, `${candidate}.json`].find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+    }
+
+    // Shared configs from packages, e.g. "@tsconfig/node18/tsconfig.json"
+    for (const request of [extended, `${extended}.json`, `${extended}/tsconfig.json`]) {
+      try {
+        return require.resolve(request, { paths: [configDir] });
+      } catch (error) {
+        // Try the next form
       }
-    } catch (error) {
-      console.error(`Error processing file ${filePath}:`, error);
     }
+    return null;
   }
 
-  resolveLocalImport(importPath, currentFilePath) {
-    const currentDir = path.dirname(currentFilePath);
-    let resolvedPath = path.resolve(currentDir, importPath);
+  // Read a JSON file that may contain comments and trailing commas (tsconfig style)
+  readJsonFile(filePath, optional = false) {
+    if (optional && !fs.existsSync(filePath)) return null;
 
-    // Check if the import exists directly
-    if (fs.existsSync(resolvedPath)) {
-      if (fs.statSync(resolvedPath).isDirectory()) {
-        // Try index files
-        for (const ext of ['.js', '.jsx', '.ts', '.tsx']) {
-          const indexFile = path.join(resolvedPath, `index${ext}`);
-          if (fs.existsSync(indexFile)) {
-            return indexFile;
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      let json = '';
+      let inString = false;
+
+      for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        const next = content[i + 1];
+
+        if (inString) {
+          json += char;
+          if (char === '\\') {
+            json += next;
+            i++;
+          } else if (char === '"') {
+            inString = false;
           }
+        } else if (char === '"') {
+          inString = true;
+          json += char;
+        } else if (char === '/' && next === '/') {
+          while (i < content.length && content[i] !== '\n') i++;
+          json += '\n';
+        } else if (char === '/' && next === '*') {
+          i = content.indexOf('*/', i + 2);
+          if (i === -1) break;
+          i++;
+        } else {
+          json += char;
         }
       }
-      return resolvedPath;
-    }
 
-    // Try adding extensions
-    for (const ext of ['.js', '.jsx', '.ts', '.tsx']) {
-      const pathWithExt = `${resolvedPath}${ext}`;
-      if (fs.existsSync(pathWithExt)) {
-        return pathWithExt;
-      }
+      return JSON.parse(json.replace(/,(\s*[}\]])/g, '$1'));
+    } catch (error) {
+      console.warn(`Error reading JSON file ${filePath}:`, error.message);
+      return null;
     }
-
-    return null;
   }
 
   // New method to extract function/method information
@@ -167,41 +2592,45 @@ class FileDependencyAnalyzer {
       this.methodDependencies[relativePath] = {};
 
       // Parse the file if AST not provided
-      const ast = existingAst || parser.parse(fileContent, {
-        sourceType: 'module',
-        plugins: ['typescript', 'jsx'],
-      });
+      const ast = existingAst || this.parseSource(filePath, fileContent);
 
-      // Track current class and method scope
-      let currentClass = null;
+      const functions = []; // Every extracted function's path and id, for the call pass
+      const functionIds = new Map(); // Function node -> id, to resolve calls through scope bindings
+      const topLevelIds = new Set(); // Functions declared at module scope, which can be exported
 
-      // Traverse the AST to find methods/functions
+      // Traverse the AST to find methods/functions: declarations, class and object
+      // members, and function expressions named by what they are assigned to
       traverse(ast, {
-        ClassDeclaration: (path) => {
-          currentClass = path.node.id.name;
-        },
-
-        // Track when we exit a class
-        ClassDeclaration: {
-          exit: (path) => {
-            currentClass = null;
-          }
-        },
-
-        // Handle function declarations
-        FunctionDeclaration: (path) => {
-          if (!path.node.id) return; // Skip anonymous functions
+        'FunctionDeclaration|FunctionExpression|ArrowFunctionExpression|ObjectMethod|ClassMethod|ClassPrivateMethod': (path) => {
+          const member = this.describeMethod(path);
+          if (!member) return; // Skip anonymous callbacks
 
-          const methodName = path.node.id.name;
+          const docComment = this.getDocComment(path);
+          const doc = docComment ? this.parseJsDoc(docComment) : null;
           const params = path.node.params.map(param => this.extractParamInfo(param));
-          const loc = path.node.loc;
+          if (doc) this.applyJsDocTypes(params, doc);
+          const loc = member.node.loc;
+          const id = this.getMethodId(relativePath, member.class || member.object, member.name, loc.start.line);
 
           // Store method info
           this.methodInfo[relativePath].methods.push({
-            name: methodName,
-            type: 'function',
-            class: currentClass,
+            id,
+            name: member.name,
+            type: member.type,
+            kind: member.kind,
+            class: member.class || null,
+            object: member.object || null,
+            static: Boolean(member.static),
+            async: Boolean(path.node.async),
+            generator: Boolean(path.node.generator),
+            private: Boolean(member.private),
+            typeParameters: this.extractTypeParameters(path.node.typeParameters),
             params: params,
+            returnType: path.node.returnType
+              ? this.getTypeFromAnnotation(path.node.returnType)
+              : (doc && doc.returns && doc.returns.type) || null,
+            deprecated: Boolean(doc && doc.deprecated !== null),
+            doc,
             loc: {
               start: { line: loc.start.line, column: loc.start.column },
               end: { line: loc.end.line, column: loc.end.column }
@@ -209,80 +2638,398 @@ class FileDependencyAnalyzer {
           });
 
           // Initialize dependencies for this method
-          this.methodDependencies[relativePath][methodName] = [];
+          this.methodDependencies[relativePath][id] = [];
 
-          // Track function calls within this function
-          this.trackFunctionCalls(path, relativePath, methodName);
-        },
+          functions.push({ path, id });
+          functionIds.set(path.node, id);
+          if (path.scope.parent && path.scope.parent.path.isProgram()) topLevelIds.add(id);
+        }
+      });
 
-        // Handle class methods
-        ClassMethod: (path) => {
-          // Only process if we have a method name
-          if (!path.node.key) return;
+      // Track function calls within each function once every function has its id, so
+      // calls to functions declared further down resolve too
+      functions.forEach(({ path, id }) => {
+        this.trackFunctionCalls(path, relativePath, id, functionIds);
+      });
 
-          const methodName = path.node.key.name || 'anonymous';
-          const params = path.node.params.map(param => this.extractParamInfo(param));
-          const loc = path.node.loc;
+      this.resolveLocalCalls(relativePath);
+      this.methodInfo[relativePath].exports = this.getMethodExports(ast, relativePath, topLevelIds);
 
-          // Store method info
-          this.methodInfo[relativePath].methods.push({
-            name: methodName,
-            type: 'method',
-            class: currentClass,
-            params: params,
-            loc: {
-              start: { line: loc.start.line, column: loc.start.column },
-              end: { line: loc.end.line, column: loc.end.column }
-            }
-          });
+    } catch (parseError) {
+      console.warn(`Error parsing methods in file ${filePath}:`, parseError.message);
+    }
+  }
+  // Name a function and place it: the class or object it belongs to, its kind
+  // (constructor, method, get, set, field, function or arrow) and modifiers.
+  // Returns null for anonymous functions nothing names, such as callbacks
+  describeMethod(path) {
+    const { node, parent } = path;
+    const type = node.type === 'ArrowFunctionExpression' ? 'arrow' : 'function';
 
-          // Initialize dependencies for this method
-          this.methodDependencies[relativePath][methodName] = [];
-
-          // Track function calls within this method
-          this.trackFunctionCalls(path, relativePath, methodName);
-        },
-
-        // Handle arrow functions and function expressions
-        VariableDeclarator: (path) => {
-          if (path.node.init &&
-            (path.node.init.type === 'ArrowFunctionExpression' ||
-              path.node.init.type === 'FunctionExpression')) {
-
-            // Only process if we have a variable name
-            if (path.node.id && path.node.id.name) {
-              const methodName = path.node.id.name;
-              const params = path.node.init.params.map(param => this.extractParamInfo(param));
-              const loc = path.node.init.loc;
-
-              // Store method info
-              this.methodInfo[relativePath].methods.push({
-                name: methodName,
-                type: path.node.init.type === 'ArrowFunctionExpression' ? 'arrow' : 'function',
-                class: currentClass,
-                params: params,
-                loc: {
-                  start: { line: loc.start.line, column: loc.start.column },
-                  end: { line: loc.end.line, column: loc.end.column }
-                }
-              });
-
-              // Initialize dependencies for this method
-              this.methodDependencies[relativePath][methodName] = [];
-
-              // Track function calls within this function
-              this.trackFunctionCalls(path.get('init'), relativePath, methodName);
-            }
+    // Class methods, accessors and constructors (including #private ones)
+    if (path.isClassMethod() || path.isClassPrivateMethod()) {
+      return {
+        node,
+        name: this.getMemberKeyName(node.key),
+        type: 'method',
+        kind: node.kind,
+        class: this.getClassName(path.parentPath.parentPath),
+        static: node.static,
+        private: path.isClassPrivateMethod() || node.accessibility === 'private'
+      };
+    }
+
+    // Object literal methods and accessors
+    if (path.isObjectMethod()) {
+      return {
+        node,
+        name: this.getMemberKeyName(node.key),
+        type: 'method',
+        kind: node.kind,
+        object: this.getObjectName(path.parentPath)
+      };
+    }
+
+    if (path.isFunctionDeclaration()) {
+      if (node.id) return { node, name: node.id.name, type, kind: type };
+      // export default function () {}
+      return parent.type === 'ExportDefaultDeclaration' ? { node, name: 'default', type, kind: type } : null;
+    }
+
+    // Function expressions take the name of what holds them
+    if (parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'Identifier') {
+      return { node, name: parent.id.name, type, kind: type };
+    }
+
+    // Class fields: handleClick = () => {}
+    if ((parent.type === 'ClassProperty' || parent.type === 'ClassPrivateProperty') && parent.value === node) {
+      return {
+        node: parent,
+        name: this.getMemberKeyName(parent.key),
+        type,
+        kind: 'field',
+        class: this.getClassName(path.parentPath.parentPath.parentPath),
+        static: parent.static,
+        private: parent.type === 'ClassPrivateProperty' || parent.accessibility === 'private'
+      };
+    }
+
+    // Object literal properties: { onClick: () => {} }
+    if (parent.type === 'ObjectProperty' && parent.value === node) {
+      return {
+        node: parent,
+        name: this.getMemberKeyName(parent.key, parent.computed),
+        type,
+        kind: 'method',
+        object: this.getObjectName(path.parentPath.parentPath)
+      };
+    }
+
+    // export default () => {}
+    if (parent.type === 'ExportDefaultDeclaration') {
+      return { node, name: 'default', type, kind: type };
+    }
+
+    // Assignments: exports.name = () => {}, Foo.prototype.name = function () {}, and
+    // module.exports = function () {} for the module's default export
+    if (parent.type === 'AssignmentExpression' && parent.right === node) {
+      const { left } = parent;
+      if (left.type === 'Identifier') return { node: parent, name: left.name, type, kind: type };
+      if (this.getMemberChain(left) === 'module.exports') return { node: parent, name: 'default', type, kind: type };
+      if (left.type === 'MemberExpression' && !left.computed) {
+        return {
+          node: parent,
+          name: this.getMemberKeyName(left.property),
+          type,
+          kind: 'method',
+          object: this.getMemberChain(left.object)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Find the JSDoc block written above a function: on the function itself or on the
+  // declaration, export, property or assignment that holds it
+  getDocComment(path) {
+    const holders = ['VariableDeclarator', 'VariableDeclaration', 'ExportNamedDeclaration', 'ExportDefaultDeclaration',
+      'ClassProperty', 'ClassPrivateProperty', 'ObjectProperty', 'AssignmentExpression', 'ExpressionStatement'];
+
+    for (let current = path; current; current = current.parentPath) {
+      const docs = (current.node.leadingComments || [])
+        .filter(comment => comment.type === 'CommentBlock' && comment.value.startsWith('*'));
+      if (docs.length > 0) return docs[docs.length - 1].value;
+      if (!current.parentPath || !holders.includes(current.parentPath.node.type)) return null;
+    }
+    return null;
+  }
+
+  // Parse a JSDoc block: the description (its first paragraph is the summary), @param and
+  // @returns types and descriptions, and the @deprecated, @internal and @example tags
+  parseJsDoc(text) {
+    const doc = { summary: '', description: '', params: [], returns: null, deprecated: null, internal: false, examples: [] };
+    const oneLine = (value) => value.replace(/\s*\n\s*/g, ' ').trim();
+
+    // Split the block into the description and one section per tag
+    const sections = [{ tag: null, lines: [] }];
+    text.replace(/^\*/, '').split('\n').forEach(line => {
+      line = line.replace(/^\s*\* ?/, '');
+      const tag = /^\s*@(\w+)\s?(.*)$/.exec(line);
+      if (tag) {
+        sections.push({ tag: tag[1], lines: [tag[2]] });
+      } else {
+        sections[sections.length - 1].lines.push(line);
+      }
+    });
+
+    sections.forEach(({ tag, lines }) => {
+      const content = lines.join('\n').trim();
+
+      switch (tag) {
+        case null:
+          doc.description = content;
+          doc.summary = oneLine(content.split(/\n\s*\n/)[0]);
+          break;
+        case 'param':
+        case 'arg':
+        case 'argument': {
+          const { type, rest } = this.readJsDocType(content);
+          const [, name = '', description] = /^(\[[^\]]*\]|\S+)?\s*(?:-\s+)?([\s\S]*)$/.exec(rest);
+          const param = { name, type, description: oneLine(description), optional: false };
+
+          // [name] and [name=default] are optional, as are {type=} types
+          if (name.startsWith('[')) {
+            const [paramName, ...defaultValue] = name.slice(1, -1).split('=');
+            param.name = paramName.trim();
+            param.optional = true;
+            if (defaultValue.length > 0) param.defaultValue = defaultValue.join('=').trim();
+          }
+          if (type && type.endsWith('=')) {
+            param.type = type.slice(0, -1);
+            param.optional = true;
+          }
+          doc.params.push(param);
+          break;
+        }
+        case 'returns':
+        case 'return': {
+          const { type, rest } = this.readJsDocType(content);
+          doc.returns = { type, description: oneLine(rest) };
+          break;
+        }
+        case 'deprecated':
+          doc.deprecated = oneLine(content);
+          break;
+        case 'internal':
+          doc.internal = true;
+          break;
+        case 'example':
+          // Keep the code's own line breaks and indentation
+          doc.examples.push(lines.join('\n').replace(/^\s*\n/, '').trimEnd());
+          break;
+      }
+    });
+
+    return doc;
+  }
+
+  // Split a leading {type} off a JSDoc tag's text (types may contain braces themselves)
+  readJsDocType(text) {
+    if (!text.startsWith('{')) return { type: null, rest: text };
+
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '{') depth++;
+      if (text[i] === '}' && --depth === 0) {
+        return { type: text.slice(1, i).trim(), rest: text.slice(i + 1).trim() };
+      }
+    }
+    return { type: null, rest: text };
+  }
+
+  // Plain JS has no type annotations: take parameter types from the JSDoc instead.
+  // Destructured parameters match the documented parameter at their position
+  applyJsDocTypes(params, doc) {
+    const documented = doc.params.filter(param => !param.name.includes('.'));
+    params.forEach((param, index) => {
+      if (param.type) return;
+      const match = documented.find(docParam => docParam.name === param.name) ||
+        (param.destructured ? documented[index] : null);
+      if (match && match.type) param.type = match.type;
+    });
+  }
+
+  // Identify a function by file, owning class or object, name and start line, so
+  // same-named methods of different classes (and overloads of a name) stay apart
+  getMethodId(relativePath, owner, name, line) {
+    return `${relativePath}:${owner ? `${owner}.` : ''}${name}:${line}`;
+  }
+
+  // Point local member calls at the id of the function they call: this.name() at a member
+  // of the caller's own class or object, obj.name() at a member of that object or class
+  // (plain calls are resolved through their scope binding while calls are tracked)
+  resolveLocalCalls(relativePath) {
+    const methods = this.methodInfo[relativePath].methods;
+    const ownerOf = method => method.class || method.object;
+    const methodsById = new Map(methods.map(method => [method.id, method]));
+
+    Object.keys(this.methodDependencies[relativePath]).forEach(callerId => {
+      const caller = methodsById.get(callerId);
+
+      this.methodDependencies[relativePath][callerId].forEach(dep => {
+        if (dep.type !== 'local' || dep.id) return;
+
+        // this in an instance member is an instance, in a static member the class itself
+        const viaThis = dep.receiver === 'this';
+        const calleeOwner = viaThis ? caller && ownerOf(caller) : dep.object;
+        const callee = calleeOwner && methods.find(method =>
+          method.name === dep.name && ownerOf(method) === calleeOwner &&
+          (!viaThis || method.static === caller.static));
+        if (callee) dep.id = callee.id;
+      });
+    });
+  }
+
+  // Map the names other modules reach this file's functions by to their ids: the export
+  // name of a function ('name', 'default') or 'export.member' for members of exported
+  // objects and static members of exported classes. CommonJS exports.name and
+  // module.exports members are reached by their own name
+  getMethodExports(ast, relativePath, topLevelIds) {
+    const exportedAs = new Map([['default', ['default']]]); // Local name -> names it's exported under
+    const addExport = (local, exported) => {
+      exportedAs.set(local, [...(exportedAs.get(local) || []), exported]);
+    };
+
+    ast.program.body.forEach(statement => {
+      if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+        this.getDeclaredNames(statement.declaration).forEach(name => addExport(name, name));
+        statement.specifiers.forEach(spec => {
+          if (spec.local) addExport(spec.local.name, this.getModuleExportName(spec.exported));
+        });
+      } else if (statement.type === 'ExportDefaultDeclaration') {
+        const { declaration } = statement;
+        if (declaration.type === 'Identifier') addExport(declaration.name, 'default');
+        else if (declaration.id) addExport(declaration.id.name, 'default');
+      } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+        // exports.name = local, module.exports = local, module.exports = { local, name: local }
+        const { left, right } = statement.expression;
+        const exportedProperty = this.getExportsPropertyName(left);
+        if (exportedProperty && right.type === 'Identifier') {
+          addExport(right.name, exportedProperty);
+        } else if (this.getMemberChain(left) === 'module.exports') {
+          if (right.type === 'Identifier') addExport(right.name, 'default');
+          if (right.type === 'ObjectExpression') {
+            right.properties
+              .filter(prop => prop.type === 'ObjectProperty' && !prop.computed && prop.value.type === 'Identifier')
+              .forEach(prop => addExport(prop.value.name, this.getModuleExportName(prop.key)));
           }
         }
+      }
+    });
+
+    const exports = {};
+    this.methodInfo[relativePath].methods.forEach(method => {
+      const owner = method.class || method.object;
+      let keys = [];
+      if (!owner) {
+        keys = topLevelIds.has(method.id) ? exportedAs.get(method.name) || [] : [];
+      } else if (owner === 'exports' || owner === 'module.exports') {
+        keys = [method.name];
+      } else if (!method.class || method.static) {
+        // Instance methods aren't reachable through the class itself
+        keys = (exportedAs.get(owner) || []).map(name => `${name}.${method.name}`);
+      }
+
+      keys.forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(exports, key)) exports[key] = method.id;
       });
+    });
 
-    } catch (parseError) {
-      console.warn(`Error parsing methods in file ${filePath}:`, parseError.message);
+    return exports;
+  }
+
+  // Describe the import behind a scope binding: the specifier and the name it takes from
+  // that module ('*' for the whole module). Covers import declarations, import x = require()
+  // and require() assigned to a variable, whole or destructured; null for anything else
+  getImportBinding(binding) {
+    const bindingPath = binding.path;
+
+    if (bindingPath.parentPath && bindingPath.parentPath.isImportDeclaration()) {
+      return { specifier: bindingPath.parent.source.value, imported: this.getImportedName(bindingPath.node) };
+    }
+
+    if (bindingPath.isTSImportEqualsDeclaration() &&
+      bindingPath.node.moduleReference.type === 'TSExternalModuleReference') {
+      return { specifier: bindingPath.node.moduleReference.expression.value, imported: '*' };
+    }
+
+    if (!bindingPath.isVariableDeclarator() || !bindingPath.node.init) return null;
+
+    // const x = require('x'), const { a } = require('x') or const a = require('x').a
+    let requirePath = bindingPath.get('init');
+    if (requirePath.isMemberExpression()) requirePath = requirePath.get('object');
+    const { node } = requirePath;
+    if (!requirePath.isCallExpression() || node.callee.type !== 'Identifier' || node.callee.name !== 'require' ||
+      requirePath.scope.hasBinding('require')) {
+      return null;
+    }
+
+    const specifier = this.getStaticSpecifier(node.arguments[0]);
+    const spec = (this.getRequireBindings(requirePath).specifiers || []).find(s => s.local === binding.identifier.name);
+    return specifier && spec ? { specifier, imported: spec.imported } : null;
+  }
+
+  // Get the display name of a class or object member key: name, #name, 'literal' or [computed]
+  getMemberKeyName(key, computed = false) {
+    if (key.type === 'PrivateName') return `#${key.id.name}`;
+    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+    if (key.type === 'Identifier' && !computed) return key.name;
+    return '[computed]';
+  }
+
+  // Get the name of a class: its own, the variable or default export holding a class
+  // expression, or 'anonymous'
+  getClassName(classPath) {
+    const { node, parent } = classPath;
+    if (node.id) return node.id.name;
+    if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+    if (parent.type === 'ExportDefaultDeclaration') return 'default';
+    return 'anonymous';
+  }
+
+  // Get the name of the variable, property or assignment target ('module.exports') holding
+  // an object literal
+  getObjectName(objectPath) {
+    const { parent } = objectPath;
+    if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+    if (parent.type === 'ObjectProperty' && parent.value === objectPath.node) return this.getMemberKeyName(parent.key, parent.computed);
+    if (parent.type === 'AssignmentExpression') return this.getMemberChain(parent.left);
+    if (parent.type === 'ExportDefaultDeclaration') return 'default';
+    return null;
+  }
+
+  // Print a static member chain (this.handlers, module.exports); null for anything else
+  getMemberChain(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'ThisExpression') return 'this';
+    if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+      const object = this.getMemberChain(node.object);
+      return object && `${object}.${node.property.name}`;
     }
+    return null;
   }
+
   // Helper method to extract parameter information
   extractParamInfo(param) {
+    // Constructor parameter properties: constructor(private readonly id: string)
+    if (param.type === 'TSParameterProperty') {
+      const paramInfo = this.extractParamInfo(param.parameter);
+      if (param.accessibility) paramInfo.accessibility = param.accessibility;
+      if (param.readonly) paramInfo.readonly = true;
+      return paramInfo;
+    }
+
     let paramInfo = {
       name: 'unnamed'
     };
@@ -304,9 +3051,14 @@ class FileDependencyAnalyzer {
       paramInfo.destructured = true;
     }
 
-    // Extract type annotation if available (TypeScript)
-    if (param.typeAnnotation) {
-      paramInfo.type = this.getTypeFromAnnotation(param.typeAnnotation);
+    if (param.optional) {
+      paramInfo.optional = true;
+    }
+
+    // Extract type annotation if available (TypeScript); defaults carry it on their left side
+    const typeAnnotation = param.type === 'AssignmentPattern' ? param.left.typeAnnotation : param.typeAnnotation;
+    if (typeAnnotation) {
+      paramInfo.type = this.getTypeFromAnnotation(typeAnnotation);
     }
 
     return paramInfo;
@@ -316,87 +3068,295 @@ class FileDependencyAnalyzer {
   getTypeFromAnnotation(typeAnnotation) {
     if (!typeAnnotation || !typeAnnotation.typeAnnotation) return 'any';
 
-    const type = typeAnnotation.typeAnnotation;
+    return this.formatType(typeAnnotation.typeAnnotation);
+  }
 
-    // Handle different TS type structures
-    if (type.type === 'TSStringKeyword') return 'string';
-    if (type.type === 'TSNumberKeyword') return 'number';
-    if (type.type === 'TSBooleanKeyword') return 'boolean';
-    if (type.type === 'TSArrayType') return `${this.getTypeFromAnnotation({ typeAnnotation: type.elementType })}[]`;
-    if (type.type === 'TSObjectKeyword') return 'object';
-    if (type.type === 'TSAnyKeyword') return 'any';
+  // Render a TypeScript type as it is written in source. Types that would bind differently
+  // inside array, union, intersection or indexed access types are wrapped in parentheses
+  formatType(type) {
+    const format = (t) => this.formatType(t);
+    const wrap = (t, kinds) => kinds.includes(t.type) ? `(${format(t)})` : format(t);
+    const functionLike = ['TSFunctionType', 'TSConstructorType', 'TSConditionalType', 'TSInferType'];
+    const compound = [...functionLike, 'TSUnionType', 'TSIntersectionType', 'TSTypeOperator'];
 
-    // Handle union and intersection types
-    if (type.type === 'TSUnionType') {
-      return type.types.map(t => this.getTypeFromAnnotation({ typeAnnotation: t })).join('|');
+    switch (type.type) {
+      case 'TSThisType':
+        return 'this';
+      case 'TSArrayType':
+        return `${wrap(type.elementType, compound)}[]`;
+      case 'TSUnionType':
+        return type.types.map(t => wrap(t, functionLike)).join(' | ');
+      case 'TSIntersectionType':
+        return type.types.map(t => wrap(t, [...functionLike, 'TSUnionType'])).join(' & ');
+      case 'TSParenthesizedType':
+        return `(${format(type.typeAnnotation)})`;
+      case 'TSTypeReference':
+        return this.formatEntityName(type.typeName) + this.formatTypeArguments(type.typeParameters);
+      case 'TSLiteralType':
+        return this.formatLiteralType(type.literal);
+      case 'TSTupleType':
+        return `[${type.elementTypes.map(format).join(', ')}]`;
+      case 'TSNamedTupleMember':
+        return `${type.label.name}${type.optional ? '?' : ''}: ${format(type.elementType)}`;
+      case 'TSOptionalType':
+        return `${wrap(type.typeAnnotation, compound)}?`;
+      case 'TSRestType':
+        return `...${format(type.typeAnnotation)}`;
+      case 'TSFunctionType':
+        return `${this.formatCallSignature(type)} => ${this.getTypeFromAnnotation(type.typeAnnotation)}`;
+      case 'TSConstructorType':
+        return `${type.abstract ? 'abstract ' : ''}new ${this.formatCallSignature(type)} => ${this.getTypeFromAnnotation(type.typeAnnotation)}`;
+      case 'TSTypeLiteral':
+        return type.members.length === 0 ? '{}' : `{ ${type.members.map(member => this.formatTypeMember(member)).join('; ')} }`;
+      case 'TSTypeOperator':
+        return `${type.operator} ${wrap(type.typeAnnotation, compound)}`;
+      case 'TSIndexedAccessType':
+        return `${wrap(type.objectType, compound)}[${format(type.indexType)}]`;
+      case 'TSTypeQuery':
+        return `typeof ${type.exprName.type === 'TSImportType' ? format(type.exprName) : this.formatEntityName(type.exprName)}` +
+          this.formatTypeArguments(type.typeParameters);
+      case 'TSImportType':
+        return `import('${type.argument.value}')${type.qualifier ? `.${this.formatEntityName(type.qualifier)}` : ''}` +
+          this.formatTypeArguments(type.typeParameters);
+      case 'TSConditionalType':
+        return `${wrap(type.checkType, functionLike)} extends ${wrap(type.extendsType, functionLike)} ? ` +
+          `${format(type.trueType)} : ${format(type.falseType)}`;
+      case 'TSInferType':
+        return `infer ${this.formatTypeParameter(type.typeParameter)}`;
+      case 'TSMappedType': {
+        // Modifiers are true, '+' or '-'
+        const modifier = (value, text) => value === true ? text : value ? `${value}${text}` : '';
+        const { typeParameter } = type;
+        return `{ ${modifier(type.readonly, 'readonly ')}[${typeParameter.name} in ${format(typeParameter.constraint)}` +
+          `${type.nameType ? ` as ${format(type.nameType)}` : ''}]${modifier(type.optional, '?')}: ` +
+          `${type.typeAnnotation ? format(type.typeAnnotation) : 'any'} }`;
+      }
+      case 'TSTypePredicate':
+        return `${type.asserts ? 'asserts ' : ''}${type.parameterName.type === 'TSThisType' ? 'this' : type.parameterName.name}` +
+          `${type.typeAnnotation ? ` is ${this.getTypeFromAnnotation(type.typeAnnotation)}` : ''}`;
+      default: {
+        // Keywords: TSStringKeyword -> string, TSBigIntKeyword -> bigint
+        const keyword = /^TS(\w+)Keyword$/.exec(type.type);
+        return keyword ? keyword[1].toLowerCase() : 'unknown';
+      }
     }
+  }
+
+  // Render a type name: Identifier or qualified (Namespace.Type)
+  formatEntityName(name) {
+    if (name.type === 'TSQualifiedName') return `${this.formatEntityName(name.left)}.${name.right.name}`;
+    return name.type === 'ThisExpression' ? 'this' : name.name;
+  }
+
+  // Render type arguments: Promise<User>
+  formatTypeArguments(typeArguments) {
+    if (!typeArguments || typeArguments.params.length === 0) return '';
+    return `<${typeArguments.params.map(param => this.formatType(param)).join(', ')}>`;
+  }
 
-    // Handle reference types (interfaces, classes, etc)
-    if (type.type === 'TSTypeReference' && type.typeName) {
-      return type.typeName.name;
+  // Render a literal type as written: 'GET', 42, -1, true, 10n or a template literal type
+  formatLiteralType(literal) {
+    if (literal.type === 'UnaryExpression') return `${literal.operator}${this.formatLiteralType(literal.argument)}`;
+    if (literal.type === 'TemplateLiteral') {
+      return `\`${literal.quasis.map((quasi, index) => quasi.value.raw +
+        (index < literal.expressions.length ? `\${${this.formatType(literal.expressions[index])}}` : '')).join('')}\``;
     }
+    return literal.extra ? literal.extra.raw : String(literal.value);
+  }
+
+  // Describe the generics a function or type declares: ['T extends object = {}']
+  extractTypeParameters(typeParameters) {
+    if (!typeParameters || !typeParameters.params) return [];
+    return typeParameters.params.map(param => this.formatTypeParameter(param));
+  }
+
+  formatTypeParameter(param) {
+    const modifiers = ['const', 'in', 'out'].filter(modifier => param[modifier]).map(modifier => `${modifier} `).join('');
+    return `${modifiers}${param.name}` +
+      `${param.constraint ? ` extends ${this.formatType(param.constraint)}` : ''}` +
+      `${param.default ? ` = ${this.formatType(param.default)}` : ''}`;
+  }
+
+  // Render the generics and parameter list of a function type or signature: <T>(id: T, ...rest: T[])
+  formatCallSignature(signature) {
+    const typeParameters = this.extractTypeParameters(signature.typeParameters);
+    return `${typeParameters.length > 0 ? `<${typeParameters.join(', ')}>` : ''}(${this.formatParams(signature.parameters)})`;
+  }
+
+  formatParams(params) {
+    return params.map(param => {
+      const info = this.extractParamInfo(param);
+      return `${info.rest ? '...' : ''}${info.name}${info.optional ? '?' : ''}${info.type ? `: ${info.type}` : ''}`;
+    }).join(', ');
+  }
+
+  // Render a member of an object type: properties, methods, index, call and construct signatures
+  formatTypeMember(member) {
+    const key = member.key ? this.getMemberKeyName(member.key, member.computed) : '';
+    const optional = member.optional ? '?' : '';
+    const readonly = member.readonly ? 'readonly ' : '';
+    const returnType = this.getTypeFromAnnotation(member.typeAnnotation);
 
-    return 'unknown';
+    switch (member.type) {
+      case 'TSPropertySignature':
+        return `${readonly}${key}${optional}: ${returnType}`;
+      case 'TSMethodSignature':
+        return `${member.kind === 'method' ? '' : `${member.kind} `}${key}${optional}${this.formatCallSignature(member)}: ${returnType}`;
+      case 'TSIndexSignature':
+        return `${readonly}[${this.formatParams(member.parameters)}]: ${returnType}`;
+      case 'TSCallSignatureDeclaration':
+        return `${this.formatCallSignature(member)}: ${returnType}`;
+      case 'TSConstructSignatureDeclaration':
+        return `new ${this.formatCallSignature(member)}: ${returnType}`;
+      default:
+        return key;
+    }
   }
 
-  // Track function calls to build method dependencies
-  trackFunctionCalls(path, filePath, currentMethod) {
+  // Track function calls to build method dependencies. Scope bindings tell calls to this
+  // file's functions (local), to imported bindings (imported, resolved to their file once
+  // the whole project is analyzed) and to globals apart
+  trackFunctionCalls(path, filePath, currentMethod, functionIds = new Map()) {
+    const dependencies = this.methodDependencies[filePath][currentMethod];
+    const seen = new Set();
+    const addCall = (dep) => {
+      const key = [dep.type, dep.receiver, dep.object, dep.specifier, dep.export, dep.name].join('\0');
+      if (seen.has(key)) return;
+      seen.add(key);
+      dependencies.push(dep);
+    };
+
     path.traverse({
+      // Nested functions that are extracted on their own keep their calls to themselves
+      Function: (innerPath) => {
+        if (functionIds.has(innerPath.node)) innerPath.skip();
+      },
+
       CallExpression: (callPath) => {
-        // Get called function name
-        let calledFunction = null;
-
-        if (callPath.node.callee.type === 'Identifier') {
-          // Direct function call: someFunction()
-          calledFunction = callPath.node.callee.name;
-        }
-        else if (callPath.node.callee.type === 'MemberExpression') {
-          // Method call: obj.method() or this.method()
-
-          // Check if it's a this.method() call to a local method
-          if (callPath.node.callee.object.type === 'ThisExpression') {
-            calledFunction = callPath.node.callee.property.name;
-
-            // Add to dependencies if not already there
-            if (calledFunction && !this.methodDependencies[filePath][currentMethod].some(d =>
-              d.name === calledFunction && d.type === 'local')) {
-              this.methodDependencies[filePath][currentMethod].push({
-                name: calledFunction,
-                type: 'local',
-                source: filePath
-              });
-            }
+        const callee = callPath.node.callee;
+
+        // Direct function call: someFunction()
+        if (callee.type === 'Identifier') {
+          const binding = callPath.scope.getBinding(callee.name);
+          if (!binding) {
+            addCall({ name: callee.name, type: 'global' });
+            return;
           }
-          // Check for imported module calls
-          else if (callPath.node.callee.object.type === 'Identifier') {
-            const moduleName = callPath.node.callee.object.name;
-            const methodName = callPath.node.callee.property.name;
-
-            // Add to dependencies
-            if (!this.methodDependencies[filePath][currentMethod].some(d =>
-              d.name === methodName && d.module === moduleName)) {
-              this.methodDependencies[filePath][currentMethod].push({
-                name: methodName,
-                module: moduleName,
-                type: 'imported'
-              });
-            }
+
+          const imported = this.getImportBinding(binding);
+          if (imported) {
+            // Calling a whole CommonJS module calls its module.exports
+            addCall({
+              name: callee.name,
+              type: 'imported',
+              specifier: imported.specifier,
+              export: imported.imported === '*' ? 'default' : imported.imported
+            });
+            return;
           }
+
+          const target = binding.path.isVariableDeclarator() ? binding.path.node.init : binding.path.node;
+          const id = functionIds.get(target);
+          addCall({ name: callee.name, type: 'local', source: filePath, ...(id ? { id } : {}) });
+          return;
+        }
+
+        // Method call: this.method(), namespace.fn(), obj.method()
+        if (callee.type !== 'MemberExpression' || callee.computed) return;
+        const name = this.getMemberKeyName(callee.property);
+
+        if (callee.object.type === 'ThisExpression') {
+          addCall({ name, type: 'local', receiver: 'this', source: filePath });
+          return;
+        }
+
+        if (callee.object.type !== 'Identifier') return;
+        const objectName = callee.object.name;
+        const binding = callPath.scope.getBinding(objectName);
+        if (!binding) {
+          addCall({ name, type: 'global', object: objectName });
+          return;
         }
 
-        // Handle direct function calls to local functions
-        if (calledFunction &&
-          !this.methodDependencies[filePath][currentMethod].some(d =>
-            d.name === calledFunction && d.type === 'local')) {
-          this.methodDependencies[filePath][currentMethod].push({
-            name: calledFunction,
-            type: 'local',
-            source: filePath
+        const imported = this.getImportBinding(binding);
+        if (imported) {
+          addCall({
+            name,
+            type: 'imported',
+            specifier: imported.specifier,
+            export: imported.imported === '*' ? name : `${imported.imported}.${name}`
           });
+          return;
         }
+
+        addCall({ name, type: 'local', object: objectName, source: filePath });
       }
     });
   }
+
+  // Resolve calls through imported bindings to the file and function they reach, once
+  // every file is analyzed. Calls into packages are tagged with the package name
+  resolveImportedCalls() {
+    Object.keys(this.methodDependencies).forEach(file => {
+      const dependencies = this.methodDependencies[file];
+      Object.keys(dependencies).forEach(methodId => {
+        dependencies[methodId] = dependencies[methodId].map(dep =>
+          dep.type === 'imported' && dep.specifier ? this.resolveImportedCall(file, dep) : dep);
+      });
+    });
+  }
+
+  // Mark the calls that reach a function documented as @deprecated, in this file or another
+  flagDeprecatedCalls() {
+    const deprecated = new Set();
+    Object.values(this.methodInfo).forEach(info => {
+      (info.methods || []).forEach(method => {
+        if (method.deprecated) deprecated.add(method.id);
+      });
+    });
+    if (deprecated.size === 0) return;
+
+    Object.values(this.methodDependencies).forEach(dependencies => {
+      Object.values(dependencies).forEach(calls => {
+        calls.forEach(dep => {
+          if (dep.id && deprecated.has(dep.id)) dep.deprecated = true;
+        });
+      });
+    });
+  }
+
+  // Resolve one imported call: follow re-exports from the imported file to the module that
+  // defines the export, then look the function up among that module's exported functions
+  resolveImportedCall(file, dep) {
+    const target = (this.importTargets[file] || {})[dep.specifier];
+    if (!target) return dep;
+
+    if (target.startsWith('library:')) {
+      return { name: dep.name, type: 'library', package: this.nodeInfo[target].name, specifier: dep.specifier };
+    }
+    if (!this.isFileNode(target)) return dep;
+
+    const lookup = ([exportName, ...member]) => {
+      const definition = this.findExportDefinition(target, exportName);
+      if (!definition) return null;
+
+      // export * as ns from './x' hands over the whole module
+      const key = definition.name === '*' ? member.join('.') : [definition.name, ...member].join('.');
+      const exports = (this.methodInfo[definition.file] || {}).exports || {};
+      return { source: definition.file, id: Object.prototype.hasOwnProperty.call(exports, key) ? exports[key] : null };
+    };
+
+    // Members of a CommonJS module.exports object are reached through its default export too
+    const parts = dep.export.split('.');
+    let found = lookup(parts);
+    if (!found || !found.id) found = lookup(['default', ...parts]) || found;
+
+    return {
+      ...dep,
+      source: found ? found.source : target,
+      ...(found && found.id ? { id: found.id } : {})
+    };
+  }
 }
 
 module.exports = FileDependencyAnalyzer;
\ No newline at end of file
@@ -0,0 +1,99 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+// A fixed pool of worker threads that parse files and extract their imports,
+// exports and methods (FileDependencyAnalyzer.extractFileInfo)
+class ParsingPool {
+  constructor(size, { rootDir, options }) {
+    this.workerData = {
+      rootDir,
+      // Workers extract single files: no cache and no nested pool
+      options: { ...options, cache: false, workers: 0 }
+    };
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.tasks = new Map(); // Worker -> task in progress
+
+    for (let i = 0; i < size; i++) {
+      this.addWorker();
+    }
+  }
+
+  addWorker() {
+    const worker = new Worker(__filename, { workerData: this.workerData });
+
+    worker.on('message', ({ fileInfo, error }) => {
+      const task = this.tasks.get(worker);
+      this.tasks.delete(worker);
+
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(fileInfo);
+      }
+
+      this.idle.push(worker);
+      this.dispatch();
+    });
+
+    // A crashed worker fails its file and is replaced
+    worker.on('error', (error) => {
+      const task = this.tasks.get(worker);
+      this.tasks.delete(worker);
+      this.workers = this.workers.filter(w => w !== worker);
+      this.idle = this.idle.filter(w => w !== worker);
+      if (task) task.reject(error);
+
+      if (!this.closed) {
+        this.addWorker();
+        this.dispatch();
+      }
+    });
+
+    this.workers.push(worker);
+    this.idle.push(worker);
+  }
+
+  // Queue a file for parsing; resolves with its extracted info
+  run(filePath, fileContent) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ filePath, fileContent, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.shift();
+      const task = this.queue.shift();
+      this.tasks.set(worker, task);
+      worker.postMessage({ filePath: task.filePath, fileContent: task.fileContent });
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+}
+
+module.exports = { ParsingPool };
+
+// Worker side: extract each file it is sent with an analyzer of its own
+if (!isMainThread) {
+  const FileDependencyAnalyzer = require('./file-dependency-analyzer');
+  const analyzer = new FileDependencyAnalyzer(workerData.rootDir, workerData.options);
+
+  parentPort.on('message', async ({ filePath, fileContent }) => {
+    try {
+      const fileInfo = await analyzer.extractFileInfo(filePath, fileContent);
+      parentPort.postMessage({ fileInfo });
+    } catch (error) {
+      parentPort.postMessage({ error: error.message });
+    } finally {
+      // The results travel back with the message; don't keep them in the worker
+      analyzer.methodInfo = {};
+      analyzer.methodDependencies = {};
+    }
+  });
+}
@@ -4,11 +4,12 @@
 
 import * as THREE from 'https://cdn.skypack.dev/three@0.128.0';
 import { TrackballControls } from 'https://cdn.skypack.dev/three@0.128.0/examples/jsm/controls/TrackballControls.js';
-import { buildDependencyData, getDependencyChain } from './utils.js';
+import { buildDependencyData, getDependencyChain, buildCallGraph, escapeHtml } from './utils.js';
 
 export class DependencyVisualizer {
     constructor() {
         this.directed = true;
+        this.dimUnreachable = true; // Grey out files no entry point reaches
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -20,12 +21,15 @@ export class DependencyVisualizer {
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.hoveredObject = null;
+        this.hoveredLink = null; // Link whose imported symbols are shown in the tooltip
         this.selectedObject = null;
         this.labelSprites = [];
+        this.badgeSprites = []; // Warning badges on files with diagnostics
         this.searchHighlightedNodes = [];
         this.showLabels = false;
         this.tooltip = this.createTooltip();
         this.viewMode = '2d'; // Default to 2D mode
+        this.graphMode = 'files'; // 'files' (import graph) or 'functions' (call graph)
         this.connectionStyle = 'arrow'; // Default to arrow style
         this.initialized = false; // Flag to track initialization
         this.rawData = null; // Store raw data for filtering
@@ -40,7 +44,24 @@ export class DependencyVisualizer {
             '.js': 0x00aaff,   // Blue
             '.tsx': 0xff00aa,  // Pink
             '.jsx': 0x00ffaa,  // Teal
-            'library': 0xaaaaaa // Gray
+            '.mjs': 0x66ccff,  // Light blue
+            '.cjs': 0xffcc00,  // Yellow
+            '.mts': 0xffaa66,  // Light orange
+            '.cts': 0xcc5500,  // Dark orange
+            '.d.ts': 0x9966ff, // Purple
+            '.d.mts': 0x9966ff,
+            '.d.cts': 0x9966ff,
+            '.vue': 0x42b883,  // Vue green
+            '.svelte': 0xff3e00, // Svelte red
+            '.astro': 0xff5d01, // Astro orange
+            'stylesheet': 0xe879f9, // Magenta
+            'json': 0xfacc15,  // Amber
+            'image': 0x34d399, // Green
+            'other': 0xd6d3d1, // Stone
+            'library': 0xaaaaaa, // Gray
+            'builtin': 0x64748b, // Slate
+            'missing': 0xef4444, // Red for imports of files that don't exist
+            'unreachable': 0x3f3f46 // Dim gray for dead files
         };
 
         // New properties for multi-panel view
@@ -56,6 +77,12 @@ export class DependencyVisualizer {
         this.methodData = {};
         this.methodDependencies = {};
 
+        // Function call graph (graph mode 'functions')
+        this.callGraph = { functions: {}, callees: {}, callers: {} };
+        this.pinnedFunctions = new Set(); // Functions shown without being reached by an expansion
+        this.expandedFunctions = new Set(); // Functions whose callers and callees are shown
+        this.groupObjects = []; // File frames the functions are drawn in
+
         // DOM Elements - set up in initUI
         this.sidebar = {
             visible: true,
@@ -108,9 +135,15 @@ export class DependencyVisualizer {
         // Set up view mode toggle
         this.setupViewModeToggle();
 
+        // Set up the files / functions toggle
+        this.setupGraphModeToggle();
+
         // Setup the directed toggle
         this.setupDirectedToggle();
 
+        // Setup the unreachable files toggle
+        this.setupDimUnreachableToggle();
+
         // Setup connection style toggle
         this.setupConnectionStyleToggle();
 
@@ -177,6 +210,20 @@ export class DependencyVisualizer {
         }
     }
 
+    setupDimUnreachableToggle() {
+        const dimUnreachableToggle = document.getElementById('dim-unreachable-toggle');
+        if (dimUnreachableToggle) {
+            dimUnreachableToggle.checked = this.dimUnreachable;
+
+            dimUnreachableToggle.addEventListener('change', (e) => {
+                this.dimUnreachable = e.target.checked;
+                // Rebuild the graph to recolor the unreachable nodes
+                this.clearGraph();
+                this.createGraph();
+            });
+        }
+    }
+
     setupConnectionStyleToggle() {
         // Check if the element already exists
         let connectionStyleToggle = document.getElementById('connection-style-toggle');
@@ -237,6 +284,12 @@ export class DependencyVisualizer {
             libraryFilter.addEventListener('change', this.applyFilters.bind(this));
         }
 
+        // Workspace package filter
+        const packageFilter = document.getElementById('package-filter');
+        if (packageFilter) {
+            packageFilter.addEventListener('change', this.applyFilters.bind(this));
+        }
+
         // Apply filters button for advanced filtering
         const applyFiltersBtn = document.getElementById('apply-filters');
         if (applyFiltersBtn) {
@@ -268,6 +321,22 @@ export class DependencyVisualizer {
         }
     }
 
+    // Switch between the file import graph and the function call graph
+    setupGraphModeToggle() {
+        const graphFiles = document.getElementById('graph-files');
+        const graphFunctions = document.getElementById('graph-functions');
+
+        if (graphFiles) {
+            graphFiles.addEventListener('change', () => this.setGraphMode('files'));
+        }
+
+        if (graphFunctions) {
+            graphFunctions.addEventListener('change', () => this.setGraphMode('functions'));
+        }
+
+        this.updateGraphModeControls();
+    }
+
     // Initialize visualization with data
     async init(data, initialViewMode = '2d') {
 
@@ -279,6 +348,7 @@ export class DependencyVisualizer {
         // Store method data
         this.methodData = data.methodInfo || {};
         this.methodDependencies = data.methodDependencies || {};
+        this.callGraph = buildCallGraph(data);
 
         // Initialize UI elements and event listeners
         this.initUI();
@@ -382,12 +452,21 @@ export class DependencyVisualizer {
 
                 const nodeData = clickedObject.userData;
 
+                // Functions of the call graph expand to their callers and callees
+                if (nodeData.type === 'function') {
+                    this.toggleFunctionExpansion(nodeData.id);
+                    return;
+                }
+
                 // Ignore clicks on library nodes
                 if (nodeData.path && nodeData.path.startsWith('library:')) {
                     console.log('Ignoring click on library node');
                     return;
                 }
 
+                // Missing files have nothing to explore
+                if (nodeData.path && nodeData.path.startsWith('missing:')) return;
+
                 // Transition to multi-panel view for the clicked file
                 console.log('Transitioning to multi-panel view for node:', nodeData.id);
                 try {
@@ -1082,6 +1161,15 @@ export class DependencyVisualizer {
                         return;
                     }
 
+                    // Skip missing files
+                    if (depId.startsWith('missing:')) {
+                        this.showTooltip('Cannot navigate to a file that does not exist', {
+                            x: window.innerWidth / 2,
+                            y: window.innerHeight / 2
+                        }, 1500);
+                        return;
+                    }
+
                     // Show info toast
                     this.showTooltip(`Navigating to ${obj.userData.name}...`, {
                         x: window.innerWidth / 2,
@@ -1431,15 +1519,22 @@ export class DependencyVisualizer {
         const links = [];
         const linkObjects = [];
 
-        // Create method nodes
+        // Create method nodes (keyed by id: class-qualified name and line)
         fileMethods.forEach(method => {
             // Create node data
-            const nodeId = method.name;
+            const nodeId = method.id;
             nodes[nodeId] = {
                 id: nodeId,
                 name: method.name,
                 type: method.type,
+                kind: method.kind,
                 class: method.class,
+                object: method.object,
+                static: Boolean(method.static),
+                async: Boolean(method.async),
+                generator: Boolean(method.generator),
+                private: Boolean(method.private),
+                deprecated: Boolean(method.deprecated),
                 params: method.params || [],
                 size: 5 // Base size
             };
@@ -1481,25 +1576,26 @@ export class DependencyVisualizer {
             const targets = methodDeps[source] || [];
 
             targets.forEach(target => {
-                // Only create links for local method calls
-                if (target.type === 'local' && nodeObjects[source] && nodeObjects[target.name]) {
+                // Only create links for local method calls resolved to a method of this file
+                if (target.type === 'local' && nodeObjects[source] && nodeObjects[target.id]) {
                     links.push({
                         source,
-                        target: target.name
+                        target: target.id
                     });
 
                     // Create line geometry
                     const sourcePos = nodeObjects[source].position;
-                    const targetPos = nodeObjects[target.name].position;
+                    const targetPos = nodeObjects[target.id].position;
 
                     const points = [
                         new THREE.Vector3(sourcePos.x, sourcePos.y, sourcePos.z),
                         new THREE.Vector3(targetPos.x, targetPos.y, targetPos.z)
                     ];
 
+                    // Calls of deprecated methods are drawn in amber
                     const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
                     const lineMaterial = new THREE.LineBasicMaterial({
-                        color: 0x94a3b8,
+                        color: target.deprecated ? 0xf59e0b : 0x94a3b8,
                         transparent: true,
                         opacity: 0.5
                     });
@@ -1508,7 +1604,8 @@ export class DependencyVisualizer {
                     line.userData = {
                         type: 'link',
                         source,
-                        target: target.name
+                        target: target.id,
+                        deprecated: Boolean(target.deprecated)
                     };
 
                     scene.add(line);
@@ -1605,7 +1702,7 @@ export class DependencyVisualizer {
 
             // Reset all links to normal
             linkObjects.forEach(link => {
-                link.material.color.setHex(0x94a3b8);
+                link.material.color.setHex(link.userData.deprecated ? 0xf59e0b : 0x94a3b8);
                 link.material.opacity = 0.3;
             });
 
@@ -2993,6 +3090,12 @@ export class DependencyVisualizer {
 
     // Process raw dependency data into node and link objects
     processData(data) {
+        // Group the analyzer's diagnostics by file
+        const diagnosticsByFile = {};
+        (data.diagnostics || []).forEach(diagnostic => {
+            (diagnosticsByFile[diagnostic.file] = diagnosticsByFile[diagnostic.file] || []).push(diagnostic);
+        });
+
         // Create nodes with better size scaling
         Object.keys(data.nodeInfo).forEach(path => {
             const nodeData = data.nodeInfo[path];
@@ -3008,6 +3111,15 @@ export class DependencyVisualizer {
                 // Better size scaling that doesn't get too extreme with large files
                 size: baseSize * (1 + Math.log(nodeData.size || 100) / Math.log(10000) * 0.5),
                 path: nodeData.path,
+                package: nodeData.package || null,
+                declaredVersion: nodeData.declaredVersion,
+                resolvedVersion: nodeData.resolvedVersion,
+                importers: nodeData.importers || [],
+                assetType: nodeData.assetType || null,
+                entryPoint: Boolean(nodeData.entryPoint),
+                workerEntry: nodeData.workerEntry || null,
+                unreachable: Boolean(nodeData.unreachable),
+                diagnostics: diagnosticsByFile[path] || [],
                 connections: 0
             };
         });
@@ -3015,12 +3127,21 @@ export class DependencyVisualizer {
         // Create links and count connections
         Object.keys(data.dependencies).forEach(source => {
             const targets = data.dependencies[source];
+            // Edge metadata is optional (older exports and CSV imports only have the flat arrays)
+            const edges = (data.dependencyEdges && data.dependencyEdges[source]) || [];
 
             targets.forEach(target => {
                 if (this.nodes[source] && this.nodes[target]) {
+                    const edge = edges.find(e => e.target === target) || {};
                     this.links.push({
                         source,
-                        target
+                        target,
+                        moduleSystem: edge.moduleSystem || 'esm',
+                        kind: edge.kind || 'import',
+                        dynamic: Boolean(edge.dynamic),
+                        typeOnly: Boolean(edge.typeOnly),
+                        sideEffect: Boolean(edge.sideEffect),
+                        symbols: this.getEdgeSymbols(edge)
                     });
 
                     // Count connections for filtering
@@ -3031,11 +3152,30 @@ export class DependencyVisualizer {
         });
     }
 
+    // Get the display names of the symbols an edge imports
+    getEdgeSymbols(edge) {
+        const names = (edge.specifiers || []).map(spec => {
+            const name = spec.exported && spec.exported !== spec.imported
+                ? `${spec.imported} as ${spec.exported}`
+                : spec.imported;
+            if (spec.imported === '*') return `* as ${spec.exported || spec.local}`;
+            if (spec.imported === 'default') return `default as ${spec.local}`;
+            return spec.typeOnly ? `type ${name}` : name;
+        });
+        return Array.from(new Set(names));
+    }
+
     // Create 3D graph visualization
     createGraph() {
         // Clear existing objects
         this.clearGraph();
 
+        // The function call graph has a layout of its own
+        if (this.graphMode === 'functions') {
+            this.createCallGraph();
+            return;
+        }
+
         // Position nodes using force-directed algorithm
         this.positionNodes();
 
@@ -3046,18 +3186,31 @@ export class DependencyVisualizer {
             // Determine color based on file type
             let color;
             if (node.path.startsWith('library:')) {
-                color = this.colorMap['library'];
+                // Node builtins get their own color
+                color = this.colorMap[node.type] || this.colorMap['library'];
+            } else if (node.assetType) {
+                color = this.colorMap[node.assetType];
             } else {
                 const ext = node.type.toLowerCase();
                 color = this.colorMap[ext] || 0xffffff;
             }
 
-            // Create sphere for node with better material
-            const geometry = new THREE.SphereGeometry(node.size, 32, 32);
+            // Dead files fade into the background
+            const dimmed = this.dimUnreachable && node.unreachable;
+            if (dimmed) {
+                color = this.colorMap['unreachable'];
+            }
+
+            // Create sphere for node with better material (assets get their own shapes,
+            // missing files are hollow)
+            const geometry = this.createNodeGeometry(node);
             const material = new THREE.MeshPhongMaterial({
                 color,
                 shininess: 70,
-                specular: 0x111111
+                specular: 0x111111,
+                wireframe: node.type === 'missing',
+                transparent: dimmed,
+                opacity: dimmed ? 0.4 : 1
             });
             const sphere = new THREE.Mesh(geometry, material);
 
@@ -3069,12 +3222,36 @@ export class DependencyVisualizer {
 
             // Create text label
             this.createLabel(node);
+
+            // Flag files with parse errors, unreadable content or unresolved imports
+            if (node.diagnostics.length > 0) {
+                this.createDiagnosticBadge(node);
+            }
         });
 
         // Create links between nodes
         this.createLinks();
     }
 
+    // Pick a node's shape: stylesheets are cubes, JSON files octahedrons, images flat
+    // tiles and other assets tetrahedrons; source files and libraries stay spheres
+    createNodeGeometry(node) {
+        const size = node.size;
+
+        switch (node.assetType) {
+            case 'stylesheet':
+                return new THREE.BoxGeometry(size * 1.5, size * 1.5, size * 1.5);
+            case 'json':
+                return new THREE.OctahedronGeometry(size * 1.3);
+            case 'image':
+                return new THREE.BoxGeometry(size * 1.8, size * 1.8, size * 0.3);
+            case 'other':
+                return new THREE.TetrahedronGeometry(size * 1.4);
+            default:
+                return new THREE.SphereGeometry(size, 32, 32);
+        }
+    }
+
     // This modification ensures arrows go FROM dependency TO dependent (what uses it)
     // The key insight is that in the data structure:
     // - dependencies[A] = [B, C] means "A imports/depends on B and C"
@@ -3150,13 +3327,38 @@ export class DependencyVisualizer {
             const curvePoints = this.createCurvedLinePath(start, end);
 
             // Create the base connection line
-            const lineGeometry = new THREE.BufferGeometry().setFromPoints(curvePoints);
-            const lineMaterial = new THREE.LineBasicMaterial({
-                color: 0x94a3b8,
-                transparent: true,
-                opacity: 0.3
-            });
-            const line = new THREE.Line(lineGeometry, lineMaterial);
+            // Dynamic imports are dashed so code-split boundaries stand out, and links
+            // that import several symbols are drawn as tubes whose thickness follows the count
+            // (WebGL ignores line widths above 1)
+            let line;
+            if (link.dynamic) {
+                const lineGeometry = new THREE.BufferGeometry().setFromPoints(curvePoints);
+                line = new THREE.Line(lineGeometry, new THREE.LineDashedMaterial({
+                    color: 0x94a3b8,
+                    transparent: true,
+                    opacity: 0.3,
+                    dashSize: 4,
+                    gapSize: 3
+                }));
+                line.computeLineDistances();
+            } else if (link.symbols.length > 1) {
+                const radius = 0.2 + 0.12 * Math.min(link.symbols.length, 10);
+                const tubeGeometry = new THREE.TubeGeometry(
+                    new THREE.CatmullRomCurve3(curvePoints), curvePoints.length, radius, 6, false
+                );
+                line = new THREE.Mesh(tubeGeometry, new THREE.MeshBasicMaterial({
+                    color: 0x94a3b8,
+                    transparent: true,
+                    opacity: 0.3
+                }));
+            } else {
+                const lineGeometry = new THREE.BufferGeometry().setFromPoints(curvePoints);
+                line = new THREE.Line(lineGeometry, new THREE.LineBasicMaterial({
+                    color: 0x94a3b8,
+                    transparent: true,
+                    opacity: 0.3
+                }));
+            }
 
             // Store the data relationship but with visual direction in mind
             line.userData = {
@@ -3165,7 +3367,14 @@ export class DependencyVisualizer {
                 target: link.source,  // REVERSED - visual target is the dependent
                 // Keep track of the data relationship too (what imports what)
                 dataSource: link.source,  // Original data: source imports target
-                dataTarget: link.target
+                dataTarget: link.target,
+                // Which module system produced the edge ('esm' or 'cjs')
+                moduleSystem: link.moduleSystem,
+                kind: link.kind,
+                dynamic: link.dynamic,
+                typeOnly: link.typeOnly,
+                sideEffect: link.sideEffect,
+                symbols: link.symbols
             };
 
             this.scene.add(line);
@@ -3173,49 +3382,54 @@ export class DependencyVisualizer {
 
             // If directed, add connection endpoint based on selected style
             if (this.directed) {
-                // Get the last two points from the curve to determine arrow direction
-                const len = curvePoints.length;
-                const pLast = curvePoints[len - 1]; // End point (at visualTarget)
-                const pSecondLast = curvePoints[len - 2];
-
-                // Calculate the direction vector of the last segment
-                const dir = new THREE.Vector3().subVectors(pLast, pSecondLast).normalize();
+                this.createArrowHead(curvePoints);
+            }
 
-                // ARROW STYLE only
-                const arrowLength = 5;
-                const arrowWidth = 2;
+        });
+    }
 
-                const tip = pLast.clone();
+    // Draw an arrow head at the end of a link's curve
+    createArrowHead(curvePoints) {
+        // Get the last two points from the curve to determine arrow direction
+        const len = curvePoints.length;
+        const pLast = curvePoints[len - 1]; // End point (at visualTarget)
+        const pSecondLast = curvePoints[len - 2];
 
-                const perpendicular = new THREE.Vector3(-dir.y, dir.x, 0).normalize().multiplyScalar(arrowWidth);
+        // Calculate the direction vector of the last segment
+        const dir = new THREE.Vector3().subVectors(pLast, pSecondLast).normalize();
 
-                const baseCenter = tip.clone().sub(dir.clone().multiplyScalar(arrowLength));
-                const baseLeft = baseCenter.clone().add(perpendicular);
-                const baseRight = baseCenter.clone().sub(perpendicular);
+        // ARROW STYLE only
+        const arrowLength = 5;
+        const arrowWidth = 2;
 
-                const arrowGeometry = new THREE.BufferGeometry();
-                const vertices = new Float32Array([
-                    tip.x, tip.y, tip.z,
-                    baseLeft.x, baseLeft.y, baseLeft.z,
-                    baseRight.x, baseRight.y, baseRight.z
-                ]);
+        const tip = pLast.clone();
 
-                arrowGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+        const perpendicular = new THREE.Vector3(-dir.y, dir.x, 0).normalize().multiplyScalar(arrowWidth);
 
-                const arrowMaterial = new THREE.MeshBasicMaterial({
-                    color: 0x6366F1,
-                    transparent: true,
-                    opacity: 0.9,
-                    side: THREE.DoubleSide
-                });
+        const baseCenter = tip.clone().sub(dir.clone().multiplyScalar(arrowLength));
+        const baseLeft = baseCenter.clone().add(perpendicular);
+        const baseRight = baseCenter.clone().sub(perpendicular);
 
-                const arrowMesh = new THREE.Mesh(arrowGeometry, arrowMaterial);
+        const arrowGeometry = new THREE.BufferGeometry();
+        const vertices = new Float32Array([
+            tip.x, tip.y, tip.z,
+            baseLeft.x, baseLeft.y, baseLeft.z,
+            baseRight.x, baseRight.y, baseRight.z
+        ]);
 
-                this.scene.add(arrowMesh);
-                this.linkObjects.push(arrowMesh);
-            }
+        arrowGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
 
+        const arrowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x6366F1,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide
         });
+
+        const arrowMesh = new THREE.Mesh(arrowGeometry, arrowMaterial);
+
+        this.scene.add(arrowMesh);
+        this.linkObjects.push(arrowMesh);
     }
 
     // New method to calculate connection points on the surface of nodes
@@ -3344,7 +3558,20 @@ export class DependencyVisualizer {
     }
 
     // Create text label for a node
-    createLabel(node) {
+    createLabel(node, visible = this.showLabels) {
+        const sprite = this.createTextSprite(node.name);
+
+        // Position relative to node size
+        sprite.position.set(node.x, node.y + node.size * 1.2, node.z);
+
+        sprite.visible = visible;
+
+        this.scene.add(sprite);
+        this.labelSprites.push({ sprite, nodeId: node.id });
+    }
+
+    // Render a line of text onto a sprite
+    createTextSprite(text) {
         // Get device pixel ratio for sharper text
         const pixelRatio = window.devicePixelRatio || 1;
 
@@ -3356,7 +3583,7 @@ export class DependencyVisualizer {
         context.font = `${fontSize}px Inter, Arial, sans-serif`;
 
         // Measure text with the correct font
-        const textMetrics = context.measureText(node.name);
+        const textMetrics = context.measureText(text);
         const textWidth = textMetrics.width;
 
         // Add more generous padding (20px total instead of 10px)
@@ -3388,7 +3615,7 @@ export class DependencyVisualizer {
 
         // Draw text with better positioning
         context.fillStyle = '#f8fafc';
-        context.fillText(node.name, padding, canvasHeight / 2);
+        context.fillText(text, padding, canvasHeight / 2);
 
         // Create sprite
         const texture = new THREE.CanvasTexture(canvas);
@@ -3399,17 +3626,52 @@ export class DependencyVisualizer {
         const material = new THREE.SpriteMaterial({ map: texture });
         const sprite = new THREE.Sprite(material);
 
-        // Position relative to node size
-        sprite.position.set(node.x, node.y + node.size * 1.2, node.z);
-
         // Scale sprite to maintain proper text size
         const spriteScale = 0.25; // Smaller scale factor for better resolution
         sprite.scale.set((canvasWidth / canvasHeight) * spriteScale * canvasHeight, spriteScale * canvasHeight, 1);
 
-        sprite.visible = this.showLabels;
+        return sprite;
+    }
+
+    // Create the "!" badge shown at the top right of a file with diagnostics
+    // (red when the file itself couldn't be analyzed, amber for unresolved imports)
+    createDiagnosticBadge(node) {
+        const pixelRatio = window.devicePixelRatio || 1;
+        const badgeSize = 16;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = badgeSize * pixelRatio;
+        canvas.height = badgeSize * pixelRatio;
+
+        const context = canvas.getContext('2d');
+        context.scale(pixelRatio, pixelRatio);
+
+        const hasError = node.diagnostics.some(diagnostic => diagnostic.severity === 'error');
+        context.fillStyle = hasError ? '#ef4444' : '#f59e0b';
+        context.beginPath();
+        context.arc(badgeSize / 2, badgeSize / 2, badgeSize / 2, 0, Math.PI * 2);
+        context.fill();
+
+        context.font = `bold 12px Inter, Arial, sans-serif`;
+        context.textBaseline = 'middle';
+        context.textAlign = 'center';
+        context.fillStyle = '#0f172a';
+        context.fillText('!', badgeSize / 2, badgeSize / 2 + 1);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+
+        // Drawn over the node it belongs to
+        const material = new THREE.SpriteMaterial({ map: texture, depthTest: false });
+        const sprite = new THREE.Sprite(material);
+        sprite.renderOrder = 1;
+
+        sprite.position.set(node.x + node.size * 0.8, node.y + node.size * 0.8, node.z);
+        sprite.scale.set(node.size * 0.9, node.size * 0.9, 1);
 
         this.scene.add(sprite);
-        this.labelSprites.push({ sprite, nodeId: node.id });
+        this.badgeSprites.push({ sprite, nodeId: node.id });
     }
 
     // Switch between 2D and 3D visualization modes
@@ -3558,6 +3820,286 @@ export class DependencyVisualizer {
     }
 
 
+    // Switch between the file import graph and the function call graph. Entering the call
+    // graph starts over from its root functions
+    setGraphMode(mode) {
+        if (this.graphMode === mode) return;
+
+        if (mode === 'functions' && Object.keys(this.callGraph.functions).length === 0) {
+            this.showTooltip('No functions found - enable method parsing and analyze again', {
+                x: window.innerWidth / 2,
+                y: window.innerHeight / 2
+            }, 3000);
+            this.updateGraphModeControls();
+            return;
+        }
+
+        this.graphMode = mode;
+        if (mode === 'functions') {
+            this.pinnedFunctions = new Set(this.getCallGraphRoots());
+            this.expandedFunctions = new Set();
+        }
+
+        this.createGraph();
+        this.resetCamera();
+
+        const message = mode === 'functions'
+            ? `Showing ${this.pinnedFunctions.size} of ${Object.keys(this.callGraph.functions).length} functions. Click a function to expand its callers and callees.`
+            : 'Switched to the file graph';
+        this.showTooltip(message, {
+            x: window.innerWidth / 2,
+            y: window.innerHeight / 2
+        }, 3000);
+
+        this.updateGraphModeControls();
+    }
+
+    // Update the files / functions toggle to match the current graph
+    updateGraphModeControls() {
+        const graphFiles = document.getElementById('graph-files');
+        const graphFunctions = document.getElementById('graph-functions');
+
+        if (graphFiles && graphFunctions) {
+            graphFiles.checked = this.graphMode === 'files';
+            graphFunctions.checked = this.graphMode === 'functions';
+        }
+    }
+
+    // Pick the functions the call graph starts from: those nothing calls but which call
+    // something, preferring the ones in entry point files. The busiest come first
+    getCallGraphRoots(limit = 40) {
+        const { functions, callers, callees } = this.callGraph;
+        const ids = Object.keys(functions).filter(id => this.isFunctionShown(id));
+
+        let roots = ids.filter(id => callers[id].length === 0 && callees[id].length > 0);
+        const inEntryPoints = roots.filter(id => this.nodes[functions[id].file]?.entryPoint);
+        if (inEntryPoints.length > 0) roots = inEntryPoints;
+        // Without roots (every caller is called itself) start from the busiest functions
+        if (roots.length === 0) roots = ids;
+
+        return roots
+            .sort((a, b) => callees[b].length - callees[a].length)
+            .slice(0, limit);
+    }
+
+    // Functions in files hidden by the filters stay out of the call graph
+    isFunctionShown(functionId) {
+        const fileNode = this.nodes[this.callGraph.functions[functionId].file];
+        return !fileNode || fileNode.visible === undefined || fileNode.visible;
+    }
+
+    // Functions on screen: the pinned ones plus the callers and callees of every expanded
+    // function that is on screen itself
+    getVisibleFunctions() {
+        const { functions, callers, callees } = this.callGraph;
+        const visible = new Set();
+        const queue = Array.from(this.pinnedFunctions);
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (visible.has(id) || !functions[id] || !this.isFunctionShown(id)) continue;
+
+            visible.add(id);
+            if (this.expandedFunctions.has(id)) {
+                queue.push(...callers[id], ...callees[id]);
+            }
+        }
+
+        return visible;
+    }
+
+    // Find the functions whose name or file matches a (lowercase) search term
+    findFunctions(searchTerm, limit = 25) {
+        return Object.values(this.callGraph.functions)
+            .filter(fn => this.isFunctionShown(fn.id) &&
+                (fn.name.toLowerCase().includes(searchTerm) || fn.file.toLowerCase().includes(searchTerm)))
+            .slice(0, limit)
+            .map(fn => fn.id);
+    }
+
+    // Show or hide the callers and callees of a function, then bring it back into view
+    toggleFunctionExpansion(functionId) {
+        if (this.expandedFunctions.has(functionId)) {
+            this.expandedFunctions.delete(functionId);
+        } else {
+            this.expandedFunctions.add(functionId);
+        }
+
+        this.createGraph();
+
+        const nodeObj = this.nodeObjects[functionId];
+        if (nodeObj) {
+            this.centerCameraOnNode(nodeObj);
+            this.updateInfoPanel(nodeObj.userData);
+            this.highlightConnections(functionId);
+        }
+    }
+
+    // Render the function call graph: every visible function is a node inside a frame
+    // for its file, with links from callers to callees. Frames are packed into rows
+    createCallGraph() {
+        const { functions } = this.callGraph;
+        const visible = this.getVisibleFunctions();
+
+        const spacing = 40; // Between functions in a frame
+        const padding = 24; // Around the functions
+        const header = 16; // Room for the file name
+        const gap = 60; // Between frames
+
+        // Group the functions by file, in source order
+        const groups = {};
+        visible.forEach(id => {
+            const fn = functions[id];
+            (groups[fn.file] = groups[fn.file] || []).push(fn);
+        });
+
+        const frames = Object.keys(groups).sort().map(file => {
+            const group = groups[file].sort((a, b) => a.method.loc.start.line - b.method.loc.start.line);
+            const columns = Math.min(group.length, 4);
+            const rows = Math.ceil(group.length / columns);
+            return {
+                file,
+                functions: group,
+                columns,
+                width: columns * spacing + padding,
+                height: rows * spacing + padding + header
+            };
+        });
+        if (frames.length === 0) return;
+
+        // Rows about as wide as the graph ends up tall
+        const area = frames.reduce((sum, frame) => sum + (frame.width + gap) * (frame.height + gap), 0);
+        const rowWidth = Math.max(Math.sqrt(area) * 1.4, ...frames.map(frame => frame.width));
+        let x = 0;
+        let y = 0;
+        let rowHeight = 0;
+        frames.forEach(frame => {
+            if (x > 0 && x + frame.width > rowWidth) {
+                x = 0;
+                y -= rowHeight + gap;
+                rowHeight = 0;
+            }
+            // Top left corner
+            frame.x = x;
+            frame.y = y;
+            x += frame.width + gap;
+            rowHeight = Math.max(rowHeight, frame.height);
+        });
+
+        // Center the graph
+        const width = Math.max(...frames.map(frame => frame.x + frame.width));
+        const height = Math.max(...frames.map(frame => frame.height - frame.y));
+        frames.forEach(frame => {
+            frame.x -= width / 2;
+            frame.y += height / 2;
+        });
+
+        frames.forEach(frame => {
+            this.createFileFrame(frame);
+
+            frame.functions.forEach((fn, index) => {
+                this.createFunctionNode(fn, {
+                    x: frame.x + (padding + spacing) / 2 + (index % frame.columns) * spacing,
+                    y: frame.y - header - (padding + spacing) / 2 - Math.floor(index / frame.columns) * spacing
+                });
+            });
+        });
+
+        this.createCallLinks(visible);
+    }
+
+    // Draw the frame and file name a group of functions sits in
+    createFileFrame(frame) {
+        const geometry = new THREE.PlaneGeometry(frame.width, frame.height);
+        const plane = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: 0x1e293b,
+            transparent: true,
+            opacity: 0.35,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        plane.position.set(frame.x + frame.width / 2, frame.y - frame.height / 2, -1);
+
+        const border = new THREE.LineSegments(
+            new THREE.EdgesGeometry(geometry),
+            new THREE.LineBasicMaterial({ color: 0x475569 })
+        );
+        border.position.copy(plane.position);
+
+        const title = this.createTextSprite(this.nodes[frame.file]?.name || frame.file);
+        title.position.set(frame.x + title.scale.x / 2 + 4, frame.y - 8, 0);
+
+        [plane, border, title].forEach(obj => {
+            this.scene.add(obj);
+            this.groupObjects.push(obj);
+        });
+    }
+
+    // Create the node of a function, colored like its file (expanded functions in the
+    // primary color) and always labeled, deprecated ones as such
+    createFunctionNode(fn, position) {
+        const fileNode = this.nodes[fn.file];
+        const color = this.expandedFunctions.has(fn.id)
+            ? 0x6366f1
+            : this.colorMap[fileNode?.type.toLowerCase()] || 0xffffff;
+
+        const name = fn.method.deprecated ? `${fn.name} (deprecated)` : fn.name;
+        const node = { id: fn.id, name, size: 4, x: position.x, y: position.y, z: 0 };
+        const sphere = new THREE.Mesh(
+            new THREE.SphereGeometry(node.size, 24, 24),
+            new THREE.MeshPhongMaterial({ color, shininess: 70, specular: 0x111111 })
+        );
+        sphere.position.set(node.x, node.y, node.z);
+        sphere.userData = { type: 'function', id: fn.id, name: fn.name, file: fn.file, method: fn.method };
+
+        this.scene.add(sphere);
+        this.nodeObjects[fn.id] = sphere;
+
+        this.createLabel(node, true);
+    }
+
+    // Link every visible caller to the visible functions it calls; calls of deprecated
+    // functions are drawn in amber
+    createCallLinks(visible) {
+        const { functions, callees } = this.callGraph;
+
+        visible.forEach(callerId => {
+            callees[callerId].forEach(calleeId => {
+                if (calleeId === callerId || !visible.has(calleeId)) return;
+
+                // Start and end on the nodes' surfaces
+                const start = this.nodeObjects[callerId].position.clone();
+                const end = this.nodeObjects[calleeId].position.clone();
+                const dir = new THREE.Vector3().subVectors(end, start).normalize();
+                start.add(dir.clone().multiplyScalar(4));
+                end.sub(dir.clone().multiplyScalar(4));
+
+                const deprecated = Boolean(functions[calleeId].method.deprecated);
+                const curvePoints = this.createCurvedLinePath(start, end);
+                const line = new THREE.Line(
+                    new THREE.BufferGeometry().setFromPoints(curvePoints),
+                    new THREE.LineBasicMaterial({ color: deprecated ? 0xf59e0b : 0x94a3b8, transparent: true, opacity: 0.3 })
+                );
+                line.userData = {
+                    type: 'link',
+                    call: true,
+                    deprecated,
+                    source: callerId,
+                    target: calleeId,
+                    dataSource: callerId,
+                    dataTarget: calleeId
+                };
+
+                this.scene.add(line);
+                this.linkObjects.push(line);
+
+                if (this.directed) {
+                    this.createArrowHead(curvePoints);
+                }
+            });
+        });
+    }
+
     // Position nodes using force-directed layout
     positionNodes() {
         const nodeArray = Object.values(this.nodes).filter(node =>
@@ -3798,10 +4340,22 @@ export class DependencyVisualizer {
             this.scene.remove(sprite);
         });
 
+        // Remove diagnostic badges
+        this.badgeSprites.forEach(({ sprite }) => {
+            this.scene.remove(sprite);
+        });
+
+        // Remove the call graph's file frames
+        this.groupObjects.forEach(obj => {
+            this.scene.remove(obj);
+        });
+
         // Reset collections
         this.nodeObjects = {};
         this.linkObjects = [];
         this.labelSprites = [];
+        this.badgeSprites = [];
+        this.groupObjects = [];
     }
 
     // Animation loop
@@ -3855,6 +4409,13 @@ export class DependencyVisualizer {
             // Find intersections with nodes
             const intersects = this.raycaster.intersectObjects(Object.values(this.nodeObjects));
 
+            // Show imported symbols when hovering a link (only when no node is hovered)
+            if (intersects.length === 0) {
+                this.updateLinkHover(event);
+            } else {
+                this.hoveredLink = null;
+            }
+
             // Handle hover state
             if (intersects.length > 0) {
                 const object = intersects[0].object;
@@ -3896,6 +4457,55 @@ export class DependencyVisualizer {
         }
     }
 
+    // Show a tooltip with the imported symbols of the link under the mouse
+    updateLinkHover(event) {
+        // Lines need a pick tolerance to be hoverable
+        this.raycaster.params.Line.threshold = 3;
+        const links = this.linkObjects.filter(obj => obj.userData && obj.userData.type === 'link');
+        const hit = this.raycaster.intersectObjects(links)[0];
+        const link = hit ? hit.object : null;
+
+        if (link === this.hoveredLink) return;
+        this.hoveredLink = link;
+        if (!link) return;
+
+        const { dataSource, dataTarget, symbols, typeOnly, sideEffect, dynamic, kind } = link.userData;
+
+        if (link.userData.call) {
+            const { functions } = this.callGraph;
+            const deprecated = link.userData.deprecated ? ' (deprecated)' : '';
+            this.showTooltip(`${functions[dataSource].name} calls ${functions[dataTarget].name}${deprecated}`, {
+                x: event.clientX,
+                y: event.clientY - 20
+            }, 2000);
+            return;
+        }
+        const sourceName = this.nodes[dataSource]?.name || dataSource;
+        const targetName = this.nodes[dataTarget]?.name || dataTarget;
+
+        let detail;
+        if (kind === 'worker') {
+            detail = 'starts a worker';
+        } else if (kind === 'url') {
+            detail = 'asset URL';
+        } else if (kind === 'glob') {
+            detail = `import.meta.glob${symbols && symbols.length > 0 ? ` (${symbols.join(', ')})` : ''}`;
+        } else if (symbols && symbols.length > 0) {
+            detail = symbols.join(', ');
+        } else if (sideEffect) {
+            detail = 'side-effect import';
+        } else if (dynamic) {
+            detail = 'dynamic import';
+        } else {
+            detail = 'whole module';
+        }
+
+        this.showTooltip(`${sourceName} → ${targetName}${typeOnly ? ' (types only)' : ''}: ${detail}`, {
+            x: event.clientX,
+            y: event.clientY - 20
+        }, 2000);
+    }
+
     // Update info panel with node details
     updateInfoPanel(nodeData) {
         // Check if panel exists
@@ -3915,12 +4525,35 @@ export class DependencyVisualizer {
             return;
         }
 
+        // Functions of the call graph
+        if (nodeData.type === 'function') {
+            panelContent.innerHTML = this.getFunctionInfo(nodeData.id);
+            panelTitle.textContent = 'Function Details';
+            this.infoPanel.classList.add('active');
+            return;
+        }
+
         // Update content based on node type
         const isLibrary = nodeData.path.startsWith('library:');
+        const isMissing = nodeData.path.startsWith('missing:');
 
         let content = '';
 
-        if (isLibrary) {
+        if (isMissing) {
+            content = `
+                <div class="info-item">
+                    <span class="info-item-label">Missing File</span>
+                    <span class="info-item-value" style="word-break: break-all;">${escapeHtml(nodeData.path.slice('missing:'.length))}</span>
+                </div>
+                <div class="info-item">
+                    <span class="info-item-label">Imported By (${nodeData.importers.length})</span>
+                    <span class="info-item-value diagnostics error">
+                        ${nodeData.importers.map(importer =>
+                            `<div>${escapeHtml(importer.file)}:${importer.line} → ${escapeHtml(importer.specifier)}</div>`).join('')}
+                    </span>
+                </div>
+            `;
+        } else if (isLibrary) {
             content = `
                 <div class="info-item">
                     <span class="info-item-label">Library</span>
@@ -3929,9 +4562,21 @@ export class DependencyVisualizer {
                 <div class="info-item">
                     <span class="info-item-label">Type</span>
                     <span class="info-item-value">
-                        <span class="badge badge-primary">External Library</span>
+                        <span class="badge badge-primary">${{ builtin: 'Node Builtin', url: 'URL Import' }[nodeData.type] || 'External Library'}</span>
                     </span>
                 </div>
+                ${nodeData.declaredVersion ? `
+                <div class="info-item">
+                    <span class="info-item-label">Declared</span>
+                    <span class="info-item-value">${nodeData.declaredVersion}</span>
+                </div>
+                ` : ''}
+                ${nodeData.resolvedVersion ? `
+                <div class="info-item">
+                    <span class="info-item-label">Installed</span>
+                    <span class="info-item-value">${nodeData.resolvedVersion}</span>
+                </div>
+                ` : ''}
                 <div class="info-item">
                     <span class="info-item-label">Connections</span>
                     <span class="info-item-value">${nodeData.connections}</span>
@@ -3955,8 +4600,15 @@ export class DependencyVisualizer {
                     <span class="info-item-label">Type</span>
                     <span class="info-item-value">
                         <span class="badge badge-primary">${nodeData.type}</span>
+                        ${nodeData.assetType ? `<span class="badge badge-primary">${nodeData.assetType}</span>` : ''}
                     </span>
                 </div>
+                ${nodeData.package ? `
+                <div class="info-item">
+                    <span class="info-item-label">Package</span>
+                    <span class="info-item-value">${nodeData.package}</span>
+                </div>
+                ` : ''}
                 <div class="info-item">
                     <span class="info-item-label">Imports</span>
                     <span class="info-item-value">${this.getDependencyCount(nodeData.id)} files/libraries</span>
@@ -3965,11 +4617,24 @@ export class DependencyVisualizer {
                     <span class="info-item-label">Imported By</span>
                     <span class="info-item-value">${this.getDependentCount(nodeData.id)} files</span>
                 </div>
+                <div class="info-item">
+                    <span class="info-item-label">Module System</span>
+                    <span class="info-item-value">${this.getModuleSystemLabel(nodeData.id)}</span>
+                </div>
+                ${this.getReachabilityInfo(nodeData)}
+                ${this.getExportsInfo(nodeData.id)}
+                ${this.getDiagnosticsInfo(nodeData)}
             `;
         }
 
         panelContent.innerHTML = content;
-        panelTitle.textContent = isLibrary ? 'Library Details' : 'File Details';
+        if (isMissing) {
+            panelTitle.textContent = 'Unresolved Import';
+        } else {
+            panelTitle.textContent = isLibrary
+                ? ({ builtin: 'Builtin Module Details', url: 'URL Import Details' }[nodeData.type] || 'Library Details')
+                : 'File Details';
+        }
 
         // Show panel
         this.infoPanel.classList.add('active');
@@ -3985,6 +4650,134 @@ export class DependencyVisualizer {
         return this.dependents[nodeId] ? this.dependents[nodeId].length : 0;
     }
 
+    // Build the reachability row for a file (only when the analysis found entry points)
+    getReachabilityInfo(nodeData) {
+        const reachability = this.rawData?.reachability;
+        if (!reachability || reachability.entryPoints.length === 0) return '';
+
+        const workerLabels = { worker: 'Web Worker', shared: 'Shared Worker', service: 'Service Worker' };
+
+        let status = 'Reachable';
+        if (nodeData.entryPoint) {
+            status = 'Entry Point';
+        } else if (nodeData.workerEntry) {
+            status = `${workerLabels[nodeData.workerEntry] || 'Worker'} Entry`;
+        } else if (nodeData.unreachable) {
+            const cluster = reachability.clusters.find(files => files.includes(nodeData.id)) || [];
+            status = cluster.length > 1
+                ? `Unreachable (dead cluster of ${cluster.length} files)`
+                : 'Unreachable';
+        }
+
+        return `
+                <div class="info-item">
+                    <span class="info-item-label">Reachability</span>
+                    <span class="info-item-value${nodeData.unreachable ? ' unreachable' : ''}">${status}</span>
+                </div>
+        `;
+    }
+
+    // Build the diagnostics row for a file: one line per problem, with its position
+    getDiagnosticsInfo(nodeData) {
+        if (!nodeData.diagnostics || nodeData.diagnostics.length === 0) return '';
+
+        const hasError = nodeData.diagnostics.some(diagnostic => diagnostic.severity === 'error');
+        const lines = nodeData.diagnostics.map(diagnostic => {
+            const position = diagnostic.line ? `${diagnostic.line}${diagnostic.column ? `:${diagnostic.column}` : ''}: ` : '';
+            return `<div>${position}${escapeHtml(diagnostic.message)}</div>`;
+        });
+
+        return `
+                <div class="info-item">
+                    <span class="info-item-label">Diagnostics (${nodeData.diagnostics.length})</span>
+                    <span class="info-item-value diagnostics ${hasError ? 'error' : 'warning'}">${lines.join('')}</span>
+                </div>
+        `;
+    }
+
+    // Build the info panel rows for a function of the call graph
+    getFunctionInfo(functionId) {
+        const { functions, callers, callees } = this.callGraph;
+        const fn = functions[functionId];
+        const list = ids => ids.length === 0 ? 'None' : ids.map(id => `
+            <div>
+                ${escapeHtml(functions[id].name)}
+                ${functions[id].method.deprecated ? '<span class="method-modifier deprecated">deprecated</span>' : ''}
+                <span class="call-graph-file">${escapeHtml(functions[id].file)}</span>
+            </div>
+        `).join('');
+        const doc = fn.method.doc;
+
+        return `
+            <div class="info-item">
+                <span class="info-item-label">Function</span>
+                <span class="info-item-value">${escapeHtml(fn.name)}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-item-label">File</span>
+                <span class="info-item-value" style="word-break: break-all;">${escapeHtml(fn.file)}:${fn.method.loc.start.line}</span>
+            </div>
+            ${doc && doc.summary ? `
+            <div class="info-item">
+                <span class="info-item-label">Summary</span>
+                <span class="info-item-value">${escapeHtml(doc.summary)}</span>
+            </div>
+            ` : ''}
+            ${fn.method.deprecated ? `
+            <div class="info-item">
+                <span class="info-item-label">Deprecated</span>
+                <span class="info-item-value diagnostics warning">${escapeHtml(doc.deprecated) || 'Yes'}</span>
+            </div>
+            ` : ''}
+            <div class="info-item">
+                <span class="info-item-label">Calls (${callees[functionId].length})</span>
+                <span class="info-item-value">${list(callees[functionId])}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-item-label">Called By (${callers[functionId].length})</span>
+                <span class="info-item-value">${list(callers[functionId])}</span>
+            </div>
+            <div class="info-item">
+                <span class="info-item-label">Expand</span>
+                <span class="info-item-value">Click to ${this.expandedFunctions.has(functionId) ? 'hide' : 'show'} callers and callees</span>
+            </div>
+        `;
+    }
+
+    // Build the export surface rows (export count and unused exports) for a file
+    getExportsInfo(nodeId) {
+        const exports = this.rawData?.exports?.[nodeId];
+        if (!exports) return '';
+
+        const unused = this.rawData?.unusedExports?.[nodeId] || [];
+        const count = exports.filter(entry => entry.kind !== 'reexport-all').length;
+        const reexported = exports.filter(entry => entry.kind.startsWith('reexport')).length;
+
+        return `
+                <div class="info-item">
+                    <span class="info-item-label">Exports</span>
+                    <span class="info-item-value">${count}${reexported ? ` (${reexported} re-exported)` : ''}</span>
+                </div>
+                ${unused.length > 0 ? `
+                <div class="info-item">
+                    <span class="info-item-label">Unused Exports</span>
+                    <span class="info-item-value unused-exports">${escapeHtml(unused.join(', '))}</span>
+                </div>
+                ` : ''}
+        `;
+    }
+
+    // Describe which module systems a file uses for its imports
+    getModuleSystemLabel(nodeId) {
+        const edges = this.rawData?.dependencyEdges?.[nodeId] || [];
+        const systems = new Set(edges.flatMap(edge => edge.moduleSystems || [edge.moduleSystem]));
+
+        if (systems.size === 0) return '-';
+        if (systems.has('css')) return 'Stylesheet (@import/@use)';
+        if (systems.size > 1) return 'Mixed (ESM + CommonJS)';
+        return systems.has('cjs') ? 'CommonJS' : 'ES Modules';
+    }
+
     highlightConnections(nodeId) {
         // Reset previous highlights
         this.resetHighlights();
@@ -4030,9 +4823,9 @@ export class DependencyVisualizer {
         // Get current user-defined opacity
         const userOpacity = parseFloat(document.getElementById('link-opacity')?.value || 0.2);
 
-        // Reset link highlights
+        // Reset link highlights (calls of deprecated functions stay amber)
         this.linkObjects.forEach(link => {
-            link.material.color.setHex(0x94a3b8);
+            link.material.color.setHex(link.userData.deprecated ? 0xf59e0b : 0x94a3b8);
             link.material.opacity = userOpacity; // Use user-defined opacity
         });
 
@@ -4166,6 +4959,17 @@ export class DependencyVisualizer {
         if (libraryFilter) {
             libraryFilter.innerHTML = '<option value="all">All Libraries</option>';
             if (data.libraries && data.libraries.length) {
+                // Scoped packages can also be filtered as a group (e.g. all of @babel)
+                const scopes = new Set(data.libraries
+                    .filter(lib => lib.startsWith('@'))
+                    .map(lib => lib.split('/')[0]));
+                scopes.forEach(scope => {
+                    const option = document.createElement('option');
+                    option.value = `${scope}/`;
+                    option.textContent = `${scope}/* (all)`;
+                    libraryFilter.appendChild(option);
+                });
+
                 data.libraries.forEach(lib => {
                     const option = document.createElement('option');
                     option.value = lib;
@@ -4174,6 +4978,21 @@ export class DependencyVisualizer {
                 });
             }
         }
+
+        // Populate workspace package filter from the packages files belong to
+        const packageFilter = document.getElementById('package-filter');
+        if (packageFilter) {
+            packageFilter.innerHTML = '<option value="all">All Packages</option>';
+            const packages = new Set(Object.values(data.nodeInfo)
+                .map(node => node.package)
+                .filter(Boolean));
+            Array.from(packages).sort().forEach(pkg => {
+                const option = document.createElement('option');
+                option.value = pkg;
+                option.textContent = pkg;
+                packageFilter.appendChild(option);
+            });
+        }
     }
 
     // Apply filters to visualized nodes
@@ -4181,6 +5000,7 @@ export class DependencyVisualizer {
         // Get filter values
         const fileTypeFilter = document.getElementById('file-type-filter')?.value || 'all';
         const libraryFilter = document.getElementById('library-filter')?.value || 'all';
+        const packageFilter = document.getElementById('package-filter')?.value || 'all';
         const filenameFilter = document.getElementById('filename-filter')?.value?.toLowerCase() || '';
         const dependencyFilterMode = document.getElementById('dependency-filter')?.value || 'none';
 
@@ -4211,6 +5031,11 @@ export class DependencyVisualizer {
                 }
             }
 
+            // Apply workspace package filter
+            if (packageFilter !== 'all' && node.package !== packageFilter) {
+                visible = false;
+            }
+
             // Apply filename filter
             if (filenameFilter && !node.name.toLowerCase().includes(filenameFilter)) {
                 visible = false;
@@ -4303,8 +5128,9 @@ export class DependencyVisualizer {
 
     // Update project information
     updateProjectInfo(data) {
-        // Count total files (exclude libraries)
-        const totalFiles = Object.keys(data.nodeInfo).filter(path => !path.startsWith('library:')).length;
+        // Count total files (exclude libraries and missing files)
+        const totalFiles = Object.keys(data.nodeInfo)
+            .filter(path => !path.startsWith('library:') && !path.startsWith('missing:')).length;
         const totalFilesElement = document.getElementById('total-files');
         if (totalFilesElement) {
             totalFilesElement.textContent = totalFiles;
@@ -4327,6 +5153,89 @@ export class DependencyVisualizer {
         if (totalDependenciesElement) {
             totalDependenciesElement.textContent = totalDependencies;
         }
+
+        // Count alias imports the analyzer could not resolve
+        const unresolvedAliases = data.unresolvedAliases || [];
+        const unresolvedAliasesElement = document.getElementById('unresolved-aliases');
+        if (unresolvedAliasesElement) {
+            unresolvedAliasesElement.textContent = unresolvedAliases.length;
+        }
+
+        // List them in the tooltip so they can be fixed
+        const unresolvedAliasesItem = document.getElementById('unresolved-aliases-item');
+        if (unresolvedAliasesItem && unresolvedAliases.length > 0) {
+            unresolvedAliasesItem.title = unresolvedAliases
+                .map(alias => `${alias.file}:${alias.line} → ${alias.specifier}`)
+                .join('\n');
+        }
+
+        // Count files no entry point reaches ('-' when no entry point was found)
+        const reachability = data.reachability;
+        const hasEntryPoints = reachability && reachability.entryPoints.length > 0;
+        const unreachableFilesElement = document.getElementById('unreachable-files');
+        if (unreachableFilesElement) {
+            unreachableFilesElement.textContent = hasEntryPoints ? reachability.unreachableFiles.length : '-';
+        }
+
+        // List the entry points and dead clusters in the tooltip
+        const unreachableFilesItem = document.getElementById('unreachable-files-item');
+        if (unreachableFilesItem && hasEntryPoints) {
+            unreachableFilesItem.title = [
+                `Entry points${reachability.inferred ? ' (inferred)' : ''}: ${reachability.entryPoints.join(', ')}`,
+                ...reachability.clusters.map(files => `• ${files.join(', ')}`)
+            ].join('\n');
+        }
+
+        this.updateDiagnosticsList(data.diagnostics || []);
+    }
+
+    // List the analyzer's diagnostics in the sidebar; clicking one focuses its file
+    updateDiagnosticsList(diagnostics) {
+        const countElement = document.getElementById('diagnostics-count');
+        if (countElement) {
+            countElement.textContent = diagnostics.length;
+        }
+
+        const list = document.getElementById('diagnostics-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (diagnostics.length === 0) {
+            list.innerHTML = '<li class="diagnostics-empty">No problems found</li>';
+            return;
+        }
+
+        diagnostics.forEach(diagnostic => {
+            const position = diagnostic.line
+                ? `:${diagnostic.line}${diagnostic.column ? `:${diagnostic.column}` : ''}`
+                : '';
+            const item = document.createElement('li');
+            item.className = `diagnostic-item ${diagnostic.severity}`;
+            item.title = diagnostic.type;
+            item.innerHTML = `
+                <span class="diagnostic-location">${escapeHtml(diagnostic.file)}${position}</span>
+                <span class="diagnostic-message">${escapeHtml(diagnostic.message)}</span>
+            `;
+            item.addEventListener('click', () => this.focusNode(diagnostic.file));
+            list.appendChild(item);
+        });
+    }
+
+    // Center the view on a node, show its details and highlight its connections
+    focusNode(nodeId) {
+        const nodeObj = this.nodeObjects[nodeId];
+        if (!nodeObj) {
+            const reason = this.nodes[nodeId] ? 'is hidden by the current filters' : 'has no node in the graph';
+            this.showTooltip(`${nodeId} ${reason}`, {
+                x: window.innerWidth / 2,
+                y: window.innerHeight / 2
+            }, 2000);
+            return;
+        }
+
+        this.centerCameraOnNode(nodeObj);
+        this.updateInfoPanel(nodeObj.userData);
+        this.highlightConnections(nodeId);
     }
 
     // Create tooltip element
@@ -4468,13 +5377,20 @@ export class DependencyVisualizer {
         searchTerm = searchTerm.toLowerCase();
 
         // Find matching nodes
-        Object.values(this.nodes).forEach(node => {
-            if ((node.visible === undefined || node.visible) &&
-                (node.name.toLowerCase().includes(searchTerm) ||
-                    node.path.toLowerCase().includes(searchTerm))) {
-                foundNodeIds.push(node.id);
-            }
-        });
+        if (this.graphMode === 'functions') {
+            // Matching functions are added to the call graph so they can be expanded from there
+            foundNodeIds.push(...this.findFunctions(searchTerm));
+            foundNodeIds.forEach(id => this.pinnedFunctions.add(id));
+            this.createGraph();
+        } else {
+            Object.values(this.nodes).forEach(node => {
+                if ((node.visible === undefined || node.visible) &&
+                    (node.name.toLowerCase().includes(searchTerm) ||
+                        node.path.toLowerCase().includes(searchTerm))) {
+                    foundNodeIds.push(node.id);
+                }
+            });
+        }
 
         // Highlight the found nodes
         foundNodeIds.forEach(nodeId => {
@@ -1,5 +1,7 @@
 // Create this as public/js/MethodInfoDisplay.js
 
+import { escapeHtml } from './utils.js';
+
 // Module for displaying method information in the sidebar
 export class MethodInfoDisplay {
     constructor(methodData, container) {
@@ -9,16 +11,19 @@ export class MethodInfoDisplay {
     }
     
     // Show method information in the sidebar
-    showMethodInfo(methodName) {
+    showMethodInfo(methodId) {
       if (!this.methodData || !this.container) return;
       
-      // Find method in data
-      const method = this.methodData.methods.find(m => m.name === methodName);
+      // Find method in data (ids tell same-named methods of different classes apart)
+      const method = this.methodData.methods.find(m => m.id === methodId);
       if (!method) return;
       
       // Store selected method
       this.selectedMethod = method;
       
+      // Parsed JSDoc (methods without one get an empty doc)
+      const doc = method.doc || { description: '', params: [], returns: null, examples: [] };
+      
       // Clear container
       this.container.innerHTML = '';
       
@@ -29,20 +34,48 @@ export class MethodInfoDisplay {
         <h4>Method Details</h4>
         <div class="info-item">
           <span class="info-item-label">Name</span>
-          <span class="info-item-value">${method.name}</span>
+          <span class="info-item-value">${escapeHtml(method.name)}</span>
         </div>
+        <div class="info-item">
+          <span class="info-item-label">Signature</span>
+          <code class="info-item-value method-signature">${escapeHtml(this.formatSignature(method))}</code>
+        </div>
+        ${method.deprecated ? `
+          <div class="info-item">
+            <span class="info-item-label">Deprecated</span>
+            <span class="info-item-value method-deprecated">${escapeHtml(method.doc.deprecated) || 'Yes'}</span>
+          </div>
+        ` : ''}
+        ${doc.description ? `
+          <div class="info-item">
+            <span class="info-item-label">Description</span>
+            <span class="info-item-value method-doc">${escapeHtml(doc.description)}</span>
+          </div>
+        ` : ''}
         <div class="info-item">
           <span class="info-item-label">Type</span>
           <span class="info-item-value">
             <span class="method-type ${method.type}">
-              ${this.getMethodTypeIcon(method.type)} ${this.formatMethodType(method.type)}
+              ${this.getMethodTypeIcon(method.type)} ${this.formatMethodType(method.type, !method.object)}
             </span>
           </span>
         </div>
+        ${this.getMethodModifiers(method).length > 0 ? `
+          <div class="info-item">
+            <span class="info-item-label">Modifiers</span>
+            <span class="info-item-value">${this.formatModifiers(method)}</span>
+          </div>
+        ` : ''}
         ${method.class ? `
           <div class="info-item">
             <span class="info-item-label">Class</span>
-            <span class="info-item-value">${method.class}</span>
+            <span class="info-item-value">${escapeHtml(method.class)}</span>
+          </div>
+        ` : ''}
+        ${method.object ? `
+          <div class="info-item">
+            <span class="info-item-label">Object</span>
+            <span class="info-item-value">${escapeHtml(method.object)}</span>
           </div>
         ` : ''}
         <div class="info-item">
@@ -60,10 +93,15 @@ export class MethodInfoDisplay {
           <ul class="parameter-list">
             ${method.params.map(param => `
               <li>
-                <span class="param-name">${param.name}</span>
-                ${param.type ? `<span class="param-type">: ${param.type}</span>` : ''}
+                ${param.accessibility ? `<span class="method-modifier">${param.accessibility}</span>` : ''}
+                ${param.readonly ? '<span class="method-modifier">readonly</span>' : ''}
+                <span class="param-name">${escapeHtml(param.name)}${param.optional ? '?' : ''}</span>
+                ${param.type ? `<span class="param-type">: ${escapeHtml(param.type)}</span>` : ''}
                 ${param.defaultValue ? '<span class="param-default">= default</span>' : ''}
                 ${param.rest ? '<span class="param-rest">...</span>' : ''}
+                ${this.getParamDescription(doc, param) ? `
+                  <div class="method-doc">${escapeHtml(this.getParamDescription(doc, param))}</div>
+                ` : ''}
               </li>
             `).join('')}
           </ul>
@@ -71,8 +109,33 @@ export class MethodInfoDisplay {
         infoSection.appendChild(paramsSection);
       }
       
+      // Add the return type and what the JSDoc says about it
+      if (method.returnType || (doc.returns && doc.returns.description)) {
+        const returnsSection = document.createElement('div');
+        returnsSection.className = 'info-section';
+        returnsSection.innerHTML = `
+          <h4>Returns</h4>
+          ${method.returnType ? `<code class="method-signature">${escapeHtml(method.returnType)}</code>` : ''}
+          ${doc.returns && doc.returns.description ? `
+            <div class="method-doc">${escapeHtml(doc.returns.description)}</div>
+          ` : ''}
+        `;
+        infoSection.appendChild(returnsSection);
+      }
+      
+      // Add the JSDoc @example blocks
+      if (doc.examples.length > 0) {
+        const examplesSection = document.createElement('div');
+        examplesSection.className = 'info-section';
+        examplesSection.innerHTML = `
+          <h4>Examples</h4>
+          ${doc.examples.map(example => `<pre class="method-example">${escapeHtml(example)}</pre>`).join('')}
+        `;
+        infoSection.appendChild(examplesSection);
+      }
+      
       // Add dependencies section if there are dependencies
-      const methodDeps = this.methodData.dependencies[method.name] || [];
+      const methodDeps = this.methodData.dependencies[method.id] || [];
       if (methodDeps.length > 0) {
         const depsSection = document.createElement('div');
         depsSection.className = 'info-section';
@@ -81,9 +144,13 @@ export class MethodInfoDisplay {
           <ul class="dependency-list">
             ${methodDeps.map(dep => `
               <li>
-                <span class="dep-name">${dep.name}</span>
+                <span class="dep-name">${dep.object ? `${dep.object}.` : ''}${dep.name}</span>
+                ${dep.deprecated ? '<span class="method-modifier deprecated">deprecated</span>' : ''}
                 ${dep.type === 'imported' ? `
-                  <span class="dep-imported">from ${dep.module}</span>
+                  <span class="dep-imported">from ${dep.source || dep.specifier}</span>
+                ` : ''}
+                ${dep.type === 'library' ? `
+                  <span class="dep-imported">from ${dep.package}</span>
                 ` : ''}
               </li>
             `).join('')}
@@ -111,12 +178,12 @@ export class MethodInfoDisplay {
     }
     
     // Format method type for display
-    formatMethodType(type) {
+    formatMethodType(type, isClassMember = true) {
       switch (type) {
         case 'function':
           return 'Function';
         case 'method':
-          return 'Class Method';
+          return isClassMember ? 'Class Method' : 'Object Method';
         case 'arrow':
           return 'Arrow Function';
         default:
@@ -124,6 +191,47 @@ export class MethodInfoDisplay {
       }
     }
     
+    // Render a method's full signature: name<T extends Base>(id: T, label?: string): Promise<T>
+    formatSignature(method) {
+      const typeParameters = method.typeParameters && method.typeParameters.length > 0
+        ? `<${method.typeParameters.join(', ')}>`
+        : '';
+      const params = (method.params || []).map(param => [
+        param.accessibility,
+        param.readonly && 'readonly',
+        `${param.rest ? '...' : ''}${param.name}${param.optional ? '?' : ''}${param.type ? `: ${param.type}` : ''}${param.defaultValue ? ' = …' : ''}`
+      ].filter(Boolean).join(' ')).join(', ');
+      
+      return `${method.name}${typeParameters}(${params})${method.returnType ? `: ${method.returnType}` : ''}`;
+    }
+    
+    // Find what the JSDoc says about a parameter
+    getParamDescription(doc, param) {
+      const docParam = doc.params.find(p => p.name === param.name);
+      return docParam ? docParam.description : '';
+    }
+    
+    // List a method's modifiers and its kind when it isn't a plain method or function
+    getMethodModifiers(method) {
+      const kindLabels = { constructor: 'constructor', get: 'getter', set: 'setter', field: 'field' };
+      return [
+        method.deprecated && 'deprecated',
+        method.doc && method.doc.internal && 'internal',
+        method.private && 'private',
+        method.static && 'static',
+        method.async && 'async',
+        method.generator && 'generator',
+        kindLabels[method.kind]
+      ].filter(Boolean);
+    }
+    
+    // Format the modifiers as small tags
+    formatModifiers(method) {
+      return this.getMethodModifiers(method)
+        .map(modifier => `<span class="method-modifier${modifier === 'deprecated' ? ' deprecated' : ''}">${modifier}</span>`)
+        .join(' ');
+    }
+    
     // Update method list display
     updateMethodList(methods) {
       if (!methods || !this.container) return;
@@ -150,12 +258,13 @@ export class MethodInfoDisplay {
         <h4>Methods (${methods.length})</h4>
         <ul class="method-list">
           ${sortedMethods.map(method => `
-            <li class="method-item" data-method="${method.name}">
-              <span class="method-name">${method.name}</span>
+            <li class="method-item" data-method="${escapeHtml(method.id)}">
+              <span class="method-name">${escapeHtml(method.name)}</span>
               <div class="method-info">
                 <span class="method-type ${method.type}">
-                  ${this.getMethodTypeIcon(method.type)} ${this.formatMethodType(method.type)}
+                  ${this.getMethodTypeIcon(method.type)} ${this.formatMethodType(method.type, !method.object)}
                 </span>
+                ${this.formatModifiers(method)}
                 <span class="method-loc">Line ${method.loc.start.line}</span>
               </div>
             </li>
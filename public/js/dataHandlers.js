@@ -321,7 +321,7 @@ export function processDataForVisualization(rawData) {
     // Extract unique file types
     const fileTypes = new Set();
     Object.values(data.nodeInfo).forEach(node => {
-        if (!node.path.startsWith('library:')) {
+        if (!node.path.startsWith('library:') && !node.path.startsWith('missing:')) {
             fileTypes.add(node.type);
         }
     });
@@ -362,13 +362,18 @@ export function calculateDependencyMetrics(data) {
         maxDependentsFile: '',
         averageDependencies: 0,
         orphanedFiles: 0, // Files with no dependencies in or out
+        missingFiles: 0, // Imported paths that don't exist
+        brokenImports: 0, // Imports pointing at missing files
         cyclicDependencies: [], // Pairs of files with cyclic dependencies
     };
     
-    // Count files and libraries
+    // Count files, libraries and missing files
     Object.keys(data.nodeInfo).forEach(path => {
         if (path.startsWith('library:')) {
             metrics.totalLibraries++;
+        } else if (path.startsWith('missing:')) {
+            metrics.missingFiles++;
+            metrics.brokenImports += (data.nodeInfo[path].importers || []).length;
         } else {
             metrics.totalFiles++;
         }
@@ -418,7 +423,7 @@ export function calculateDependencyMetrics(data) {
     
     // Count orphaned files (no dependencies in or out)
     Object.keys(data.nodeInfo).forEach(path => {
-        if (!path.startsWith('library:')) {
+        if (!path.startsWith('library:') && !path.startsWith('missing:')) {
             const hasDependencies = data.dependencies[path] && data.dependencies[path].length > 0;
             const hasDependents = dependents[path] && dependents[path].length > 0;
             
@@ -55,6 +55,22 @@ function setupEventListeners() {
         <input type="checkbox" id="enable-method-parsing" checked />
         Enable Method Parsing (slower but provides method visualization)
     </label>
+    <label for="collapse-barrels">
+        <input type="checkbox" id="collapse-barrels" />
+        Collapse Barrel Files (link imports to the module that defines them)
+    </label>
+    <label for="respect-gitignore">
+        <input type="checkbox" id="respect-gitignore" checked />
+        Skip files ignored by .gitignore
+    </label>
+    <label for="entry-points">Entry Points (optional, comma-separated paths or globs)</label>
+    <input type="text" id="entry-points" class="form-control" placeholder="Inferred from package.json and index.html" />
+    <label for="include-globs">Include (optional, comma-separated globs)</label>
+    <input type="text" id="include-globs" class="form-control" placeholder="e.g. src/**" />
+    <label for="exclude-globs">Exclude (optional, comma-separated globs)</label>
+    <input type="text" id="exclude-globs" class="form-control" placeholder="e.g. coverage, **/*.test.js" />
+    <label for="max-depth">Max Directory Depth (optional)</label>
+    <input type="number" id="max-depth" class="form-control" min="0" placeholder="Unlimited" />
 `;
 
     // Insert before analyze button
@@ -75,7 +91,7 @@ function setupEventListeners() {
         const path = projectPathInput.value.trim();
         if (path) {
             const enableMethodParsing = document.getElementById('enable-method-parsing')?.checked ?? true;
-            analyzeProject(path, enableMethodParsing);
+            analyzeProject(path, enableMethodParsing, getAnalyzerOptions());
         } else {
             alert('Please enter a valid project path');
         }
@@ -84,6 +100,31 @@ function setupEventListeners() {
     demoBtn.addEventListener('click', loadDemoData);
 }
 
+// Collect the analyzer options set in the welcome modal. Options left empty are not
+// sent, so the project's depensee.config.json can provide them
+function getAnalyzerOptions() {
+    const options = {};
+    const value = id => document.getElementById(id)?.value.trim() ?? '';
+
+    if (document.getElementById('collapse-barrels')?.checked) {
+        options.collapseBarrels = true;
+    }
+    if (document.getElementById('respect-gitignore')?.checked === false) {
+        options.gitignore = false;
+    }
+
+    [
+        ['entryPoints', 'entry-points'],
+        ['include', 'include-globs'],
+        ['exclude', 'exclude-globs'],
+        ['maxDepth', 'max-depth']
+    ].forEach(([option, id]) => {
+        if (value(id)) options[option] = value(id);
+    });
+
+    return options;
+}
+
 // Function to create and setup sidebar toggle
 function setupSidebarToggle() {
     // Create toggle button with high z-index
@@ -132,7 +173,7 @@ function setupSidebarToggle() {
 }
 
 // Analyze project function - calls API with path
-async function analyzeProject(path, enableMethodParsing = true) {
+async function analyzeProject(path, enableMethodParsing = true, analyzerOptions = {}) {
     try {
         document.getElementById('loading-container').classList.remove('hidden');
         document.getElementById('welcome-modal').classList.add('hidden');
@@ -149,7 +190,8 @@ async function analyzeProject(path, enableMethodParsing = true) {
         }
 
         // Make API request to analyze project with method parsing option
-        const response = await fetch(`/api/analyze?path=${encodeURIComponent(path)}&methodParsing=${enableMethodParsing}`);
+        const params = new URLSearchParams({ path, methodParsing: enableMethodParsing, ...analyzerOptions });
+        const response = await fetch(`/api/analyze?${params}`);
 
         if (!response.ok) {
             throw new Error(`Failed to analyze project: ${response.statusText}`);
@@ -234,19 +276,23 @@ async function createEnhancedMockData() {
                 }
 
                 // Add method
+                const className = type === 'method' ? generateClassName(filePath) : null;
+                const startLine = Math.floor(Math.random() * 50) + 1;
+                const id = `${filePath}:${className ? `${className}.` : ''}${name}:${startLine}`;
                 methods.push({
+                    id,
                     name,
                     type,
-                    class: type === 'method' ? generateClassName(filePath) : null,
+                    class: className,
                     params,
                     loc: {
-                        start: { line: Math.floor(Math.random() * 50) + 1, column: 0 },
+                        start: { line: startLine, column: 0 },
                         end: { line: Math.floor(Math.random() * 100) + 50, column: 0 }
                     }
                 });
 
                 // Initialize method dependencies
-                methodDependencies[filePath][name] = [];
+                methodDependencies[filePath][id] = [];
             }
 
             // Create dependencies between methods (50% chance of calling another method)
@@ -258,8 +304,9 @@ async function createEnhancedMockData() {
                     const targetMethod = methods[targetIndex];
 
                     // Don't call itself
-                    if (targetMethod.name !== method.name) {
-                        methodDependencies[filePath][method.name].push({
+                    if (targetMethod.id !== method.id) {
+                        methodDependencies[filePath][method.id].push({
+                            id: targetMethod.id,
                             name: targetMethod.name,
                             type: 'local',
                             source: filePath
@@ -278,11 +325,11 @@ async function createEnhancedMockData() {
 
                         // If it's not a library
                         if (!depPath.startsWith('library:')) {
-                            methodDependencies[filePath][method.name].push({
+                            methodDependencies[filePath][method.id].push({
                                 name: `importedFunc${Math.floor(Math.random() * 5) + 1}`,
                                 type: 'imported',
-                                source: depPath,
-                                module: depPath.split('/').pop().split('.')[0]
+                                specifier: `./${depPath.split('/').pop().split('.')[0]}`,
+                                source: depPath
                             });
                         }
                     }
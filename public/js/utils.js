@@ -2,6 +2,11 @@
 // js/utils.js (Utility functions)
 //------------------------------------------------------------------------
 
+// Escape text from the analyzed project (paths, names, messages, types) before it goes into HTML
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
 // Build complete dependency data structures for advanced filtering
 export function buildDependencyData(data) {
     const dependencies = {}; // nodeId -> [dependencies]
@@ -73,3 +78,39 @@ export function getDependencyChain(rootNodeIds, dependencies, dependents, mode)
     
     return Array.from(result);
 }
+
+// Build the project-wide function call graph from the method data. Calls the analyzer
+// resolved to a function (local ones and imported ones it could follow) become edges
+export function buildCallGraph(data) {
+    const functions = {}; // functionId -> { id, name, file, method }
+    const callees = {}; // functionId -> [functions it calls]
+    const callers = {}; // functionId -> [functions that call it]
+
+    Object.keys(data.methodInfo || {}).forEach(file => {
+        (data.methodInfo[file].methods || []).forEach(method => {
+            const owner = method.class || method.object;
+            functions[method.id] = {
+                id: method.id,
+                name: owner ? `${owner}.${method.name}` : method.name,
+                file,
+                method
+            };
+            callees[method.id] = [];
+            callers[method.id] = [];
+        });
+    });
+
+    Object.values(data.methodDependencies || {}).forEach(dependencies => {
+        Object.keys(dependencies).forEach(callerId => {
+            if (!functions[callerId]) return;
+
+            dependencies[callerId].forEach(dep => {
+                if (!dep.id || !functions[dep.id] || callees[callerId].includes(dep.id)) return;
+                callees[callerId].push(dep.id);
+                callers[dep.id].push(callerId);
+            });
+        });
+    });
+
+    return { functions, callees, callers };
+}
@@ -25,6 +25,55 @@ app.get('/api/analyze', async (req, res) => {
     // Add option for method parsing
     const includeMethodParsing = req.query.methodParsing !== 'false'; // Default to true
 
+    // Only options given in the query string override the project's depensee.config.json
+    const analyzerOptions = {};
+    const parseList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    // Optionally point barrel consumers at the modules that define the imported symbols
+    if (req.query.collapseBarrels !== undefined) {
+      analyzerOptions.collapseBarrels = req.query.collapseBarrels === 'true';
+    }
+
+    // Package.json "exports"/"imports" conditions, e.g. conditions=browser,import
+    if (req.query.conditions) {
+      analyzerOptions.conditions = parseList(req.query.conditions);
+    }
+
+    // Entry points for dead-file detection, e.g. entryPoints=src/index.ts,scripts/*.js
+    if (req.query.entryPoints) {
+      analyzerOptions.entryPoints = parseList(req.query.entryPoints);
+    }
+
+    // Which files to walk, e.g. include=src/**&exclude=**/*.test.js,vendor&maxDepth=4&gitignore=false
+    if (req.query.include) {
+      analyzerOptions.include = parseList(req.query.include);
+    }
+    if (req.query.exclude) {
+      analyzerOptions.exclude = parseList(req.query.exclude);
+    }
+    if (req.query.gitignore !== undefined) {
+      analyzerOptions.gitignore = req.query.gitignore !== 'false';
+    }
+    // Re-parse every file instead of reusing cached results of unchanged files
+    if (req.query.cache !== undefined) {
+      analyzerOptions.cache = req.query.cache !== 'false';
+    }
+    // Parse on a pool of worker threads (workers=0 parses on the main thread)
+    if (req.query.workers !== undefined) {
+      const workers = parseInt(req.query.workers, 10);
+      if (Number.isNaN(workers) || workers < 0) {
+        return res.status(400).json({ error: `Invalid workers: ${req.query.workers}` });
+      }
+      analyzerOptions.workers = workers;
+    }
+    if (req.query.maxDepth) {
+      const maxDepth = parseInt(req.query.maxDepth, 10);
+      if (Number.isNaN(maxDepth) || maxDepth < 0) {
+        return res.status(400).json({ error: `Invalid maxDepth: ${req.query.maxDepth}` });
+      }
+      analyzerOptions.maxDepth = maxDepth;
+    }
+
     // Validate the path
     if (!fs.existsSync(projectPath)) {
       return res.status(400).json({ error: `Path does not exist: ${projectPath}` });
@@ -32,10 +81,17 @@ app.get('/api/analyze', async (req, res) => {
 
     console.log(`Analyzing project at: ${projectPath}`);
     console.log(`Method parsing enabled: ${includeMethodParsing}`);
+    console.log('Analyzer options:', analyzerOptions);
 
     // Create analyzer and analyze the project
-    const analyzer = new FileDependencyAnalyzer(projectPath);
+    const analyzer = new FileDependencyAnalyzer(projectPath, analyzerOptions);
     const data = await analyzer.analyze();
+    if (data.cache.enabled) {
+      console.log(`Analysis cache: ${data.cache.hits} hits, ${data.cache.misses} misses`);
+    }
+    if (data.diagnostics.length > 0) {
+      console.log(`Diagnostics: ${data.diagnostics.length} (see the Diagnostics panel)`);
+    }
 
     // If method parsing is disabled, remove method data to reduce response size
     if (!includeMethodParsing) {